@@ -0,0 +1,27 @@
+const fs = require("fs");
+
+const DEPLOYMENTS = __dirname + "/../src/shared/deployments.json";
+
+function readDeployments() {
+	return fs.existsSync(DEPLOYMENTS)
+		? JSON.parse(fs.readFileSync(DEPLOYMENTS, "utf-8"))
+		: {};
+}
+
+// One entry per Truffle network, read through src/shared/deployment.js
+function writeDeployment(network, deployment) {
+	let deployments = readDeployments();
+
+	deployments[network] = deployment;
+
+	fs.writeFileSync(
+		DEPLOYMENTS,
+		JSON.stringify(deployments, null, "\t"),
+		"utf-8"
+	);
+}
+
+module.exports = {
+	readDeployments: readDeployments,
+	writeDeployment: writeDeployment,
+};
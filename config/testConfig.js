@@ -1,8 +1,97 @@
 var FlightSuretyApp = artifacts.require("FlightSuretyApp");
 var FlightSuretyData = artifacts.require("FlightSuretyData");
 var BigNumber = require("bignumber.js");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+// FlightSuretyApp draws oracle indexes from the hashes of up to 250
+// blocks back, which a fresh chain does not have yet
+const RANDOM_BLOCKS = 256;
+
+// Sends a ganache JSON-RPC request, answers its result
+function rpc(method, params = []) {
+	return new Promise((resolve, reject) =>
+		web3.currentProvider.send(
+			{
+				jsonrpc: "2.0",
+				method: method,
+				params: params,
+				id: Date.now(),
+			},
+			(error, response) =>
+				error || response.error
+					? reject(error || response.error)
+					: resolve(response.result)
+		)
+	);
+}
+
+function mine() {
+	return rpc("evm_mine");
+}
+
+// Mines a block at the new time, so that reads see it
+async function increaseTime(seconds) {
+	await rpc("evm_increaseTime", [seconds]);
+	await mine();
+}
+
+var babelRegistered = false;
+
+// The server modules are ES modules, compiled with the repo's .babelrc
+// when a test first loads one
+function requireServer(name) {
+	if (!babelRegistered) {
+		require("@babel/register")({ cwd: path.join(__dirname, "..") });
+		babelRegistered = true;
+	}
+
+	return require(path.join(__dirname, "../src/server", name));
+}
+
+/**
+ * Gives every test of the suite a data directory of its own. create()
+ * makes an event indexer in it, with options over the ones defaults()
+ * answers.
+ */
+function indexFixture(defaults) {
+	var { createIndexer } = requireServer("indexer");
+	var fixture = {
+		dataDir: null,
+		indexers: [],
+		create(options = {}) {
+			let indexer = createIndexer({
+				web3: web3,
+				dataDir: fixture.dataDir,
+				...defaults(),
+				...options,
+			});
+
+			fixture.indexers.push(indexer);
+			return indexer;
+		},
+	};
+
+	beforeEach(() => {
+		fixture.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "flightsurety-"));
+		fixture.indexers = [];
+	});
+
+	// Saved first, a pending save would write into the removed directory
+	afterEach(() => {
+		fixture.indexers.forEach((indexer) => indexer.save());
+		fs.rmSync(fixture.dataDir, { recursive: true, force: true });
+	});
+
+	return fixture;
+}
 
 var Config = async function (accounts) {
+	for (let n = await web3.eth.getBlockNumber(); n < RANDOM_BLOCKS; n++) {
+		await mine();
+	}
+
 	// These test addresses are useful when you need to add
 	// multiple users in test scripts
 	let testAddresses = [
@@ -22,7 +111,8 @@ var Config = async function (accounts) {
 
 	let flightSuretyData = await FlightSuretyData.new(
 		firstAirline,
-		"Airline Zero"
+		"Airline Zero",
+		{ value: web3.utils.toWei("10", "ether") }
 	);
 
 	let flightSuretyApp = await FlightSuretyApp.new(flightSuretyData.address);
@@ -39,4 +129,9 @@ var Config = async function (accounts) {
 
 module.exports = {
 	Config: Config,
+	rpc: rpc,
+	mine: mine,
+	increaseTime: increaseTime,
+	requireServer: requireServer,
+	indexFixture: indexFixture,
 };
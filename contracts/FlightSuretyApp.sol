@@ -6,6 +6,7 @@ pragma solidity ^0.8.16;
 // More info: https://www.nccgroup.trust/us/about-us/newsroom-and-events/blog/2018/november/smart-contract-insecurity-bad-arithmetic/
 
 import "@openzeppelin/contracts/utils/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import "./FlightSuretyData.sol";
 
 /************************************************** */
@@ -36,10 +37,15 @@ contract FlightSuretyApp {
         uint8 statusCode;
         uint256 updatedTimestamp;
         address airline;
+        string flight;
+        uint256 timestamp;
     }
 
     mapping(bytes32 => Flight) private flights;
 
+    // Keys of all registered flights, in registration order
+    bytes32[] private flightKeys;
+
     event PayoutWithdrawn(address paxAddress, uint256 value);
     event InsurancePurchased(
         address paxAddress,
@@ -49,6 +55,20 @@ contract FlightSuretyApp {
         uint256 timestamp
     );
     event AirlineApproved(address airlineAddress);
+    event FlightRegistered(address airline, string flight, uint256 timestamp);
+    event PolicyTermsChanged(
+        uint256 version,
+        uint16[6] payoutPercents,
+        uint256 maxCoverage
+    );
+    event OperatingStatusVoted(
+        uint256 proposal,
+        bool mode,
+        address airlineAddress,
+        uint256 votes,
+        uint256 required
+    );
+    event OperatingStatusChanged(bool mode);
 
     /***********************************************************************/
     /*                            FUNCTION MODIFIERS                       */
@@ -60,15 +80,23 @@ contract FlightSuretyApp {
     /**
      * @dev Modifier that requires the "operational" boolean variable to be "true"
      *      This is used on all state changing functions to pause the contract in
-     *      the event there is an issue that needs to be fixed
+     *      the event there is an issue that needs to be fixed. An app the data
+     *      contract no longer authorizes has been replaced and stays locked.
      */
     modifier requireIsOperational() {
-        // Modify to call data contract's status
+        checkOperational();
+        _; // All modifiers require an "_" which indicates where the function body will be added
+    }
+
+    /**
+     * @dev Modifier that requires an upgrade to have replaced this app
+     */
+    modifier requireReplaced() {
         require(
-            flightSuretyData.isOperational(),
-            "Contract is currently not operational"
+            !flightSuretyData.isAuthorizedContract(address(this)),
+            "App is still in service"
         );
-        _; // All modifiers require an "_" which indicates where the function body will be added
+        _;
     }
 
     /**
@@ -92,11 +120,6 @@ contract FlightSuretyApp {
         _;
     }
 
-    modifier requireInsuranceLimit() {
-        require(msg.value <= 1 ether, "Maximal insurence is 1 Eth");
-        _;
-    }
-
     modifier requireNotAirline(address airlineAddress) {
         require(
             !flightSuretyData.isRegisteredAirline(airlineAddress),
@@ -162,9 +185,64 @@ contract FlightSuretyApp {
     /*                             UTILITY FUNCTIONS                        */
     /************************************************************************/
 
+    // Kept out of requireIsOperational, a modifier body is copied into
+    // every function it guards and the app is close to the code size limit
+    function checkOperational() internal view {
+        // Modify to call data contract's status
+        require(
+            flightSuretyData.isOperational(),
+            "Contract is currently not operational"
+        );
+        require(
+            flightSuretyData.isAuthorizedContract(address(this)),
+            "App is not authorized by the data contract"
+        );
+    }
+
     function isOperational() public view returns (bool) {
         // Modify to call data contract's status
-        return flightSuretyData.isOperational();
+        return
+            flightSuretyData.isOperational() &&
+            flightSuretyData.isAuthorizedContract(address(this));
+    }
+
+    /**
+     * @dev Votes of the approved airlines pause (mode false) and resume the
+     *      contracts. A proposal is decided by half of the approved airlines,
+     *      rounded up, and expires a day after it was opened. Votes are taken
+     *      while the contracts are paused.
+     */
+    function voteOperatingStatus(
+        bool mode
+    ) external requireCallerIsApprovedAirline {
+        (uint256 proposal, uint256 votes, uint256 required) = flightSuretyData
+            .voteOperatingStatus(mode, msg.sender);
+
+        emit OperatingStatusVoted(proposal, mode, msg.sender, votes, required);
+
+        if (votes >= required) {
+            emit OperatingStatusChanged(mode);
+        }
+    }
+
+    function getOperatingStatusProposalCount() external view returns (uint256) {
+        return flightSuretyData.getOperatingStatusProposalCount();
+    }
+
+    function getOperatingStatusProposal(
+        uint256 proposal
+    )
+        external
+        view
+        returns (
+            bool mode,
+            uint256 openedAt,
+            bool isDecided,
+            bool isOpen,
+            address[] memory voters
+        )
+    {
+        return flightSuretyData.getOperatingStatusProposal(proposal);
     }
 
     /***********************************************************************/
@@ -196,6 +274,29 @@ contract FlightSuretyApp {
         return (true);
     }
 
+    function getAirlines()
+        external
+        view
+        returns (address[] memory approved, address[] memory waiting)
+    {
+        return flightSuretyData.getAirlines();
+    }
+
+    function getAirline(
+        address airlineAddress
+    )
+        external
+        view
+        returns (
+            string memory name,
+            uint256 fundedValue,
+            bool isApproved,
+            uint256 votes
+        )
+    {
+        return flightSuretyData.getAirline(airlineAddress);
+    }
+
     function voteAirline(
         address airlineAddress
     )
@@ -227,10 +328,9 @@ contract FlightSuretyApp {
         }
     }
 
-    // purchase insurance for the airline and flight
-    // this doesn't yet check whether the passenger has alreday purchased insurance,
-    // nor does it check whether the flight is in the past,
-    // these would be good improvements
+    // purchase insurance for the airline and flight, a registered flight that
+    // has not departed and has no final status yet. Buying again for the same
+    // flight tops up the passenger's policy.
     function buyInsurance(
         address airlineAddress,
         string calldata flightNo,
@@ -239,9 +339,10 @@ contract FlightSuretyApp {
         public
         payable
         requireIsOperational
-        requireInsuranceLimit
         requireApprovedAirline(airlineAddress)
     {
+        requireInsurable(airlineAddress, flightNo, timestamp);
+
         flightSuretyData.buy(
             msg.value,
             msg.sender,
@@ -261,6 +362,72 @@ contract FlightSuretyApp {
         );
     }
 
+    // A passenger holds one policy per flight, topped up to at most the
+    // maximum coverage of the terms it was bought under
+    function requireInsurable(
+        address airlineAddress,
+        string calldata flightNo,
+        uint256 timestamp
+    ) internal view {
+        Flight storage flight = flights[
+            getFlightKey(airlineAddress, flightNo, timestamp)
+        ];
+
+        require(flight.isRegistered, "Flight is not registered");
+        require(
+            flight.statusCode == STATUS_CODE_UNKNOWN,
+            "Flight status is already final"
+        );
+        require(timestamp > block.timestamp, "Flight has already departed");
+        require(msg.value > 0, "Insurance premium is required");
+
+        FlightSuretyData.Insurance memory insurance = flightSuretyData
+            .getInsurance(airlineAddress, flightNo, timestamp, msg.sender);
+        (, uint256 maxCoverage) = flightSuretyData.getPolicyTerms(
+            insurance.passenger == address(0)
+                ? flightSuretyData.getPolicyTermsCount() - 1
+                : insurance.terms
+        );
+
+        require(
+            insurance.value + msg.value <= maxCoverage,
+            "Insurance exceeds the maximum coverage"
+        );
+    }
+
+    /**
+     * @dev Replaces the policy terms for new policies: the payout in percent
+     *      of the premium per status code, indexed by status code / 10, and
+     *      the most a passenger can insure a flight for
+     */
+    function setPolicyTerms(
+        uint16[6] calldata payoutPercents,
+        uint256 maxCoverage
+    ) external requireIsOperational requireContractOwner {
+        require(maxCoverage > 0, "Maximum coverage is required");
+
+        uint256 version = flightSuretyData.addPolicyTerms(
+            payoutPercents,
+            maxCoverage
+        );
+
+        emit PolicyTermsChanged(version, payoutPercents, maxCoverage);
+    }
+
+    function getPolicyTermsCount() external view returns (uint256) {
+        return flightSuretyData.getPolicyTermsCount();
+    }
+
+    function getPolicyTerms(
+        uint256 version
+    )
+        external
+        view
+        returns (uint16[6] memory payoutPercents, uint256 maxCoverage)
+    {
+        return flightSuretyData.getPolicyTerms(version);
+    }
+
     function withdrawPayout()
         public
         requireIsOperational
@@ -270,23 +437,168 @@ contract FlightSuretyApp {
         emit PayoutWithdrawn(msg.sender, amount);
     }
 
+    function isPayoutAvailable(address passenger) external view returns (bool) {
+        return flightSuretyData.isPayoutAvailable(passenger);
+    }
+
+    function getPayout(address passenger) external view returns (uint256) {
+        return flightSuretyData.getPayout(passenger);
+    }
+
     /**
-     * @dev Register a future flight for insuring.
+     * @dev Premium a passenger paid for a flight, whether it was paid out and
+     *      the version of the policy terms it was bought under
+     */
+    function getInsurance(
+        address airline,
+        string calldata flight,
+        uint256 timestamp,
+        address passenger
+    ) external view returns (uint256 value, bool paidOut, uint256 terms) {
+        FlightSuretyData.Insurance memory insurance = flightSuretyData
+            .getInsurance(airline, flight, timestamp, passenger);
+
+        return (insurance.value, insurance.paidOut, insurance.terms);
+    }
+
+    /**
+     * @dev Register a future flight for insuring. Approved, funded airlines
+     *      register their own flights, each one once.
      *
      */
     function registerFlight(
         string calldata flight,
         uint256 timestamp,
         address airline
-    ) external {
+    ) external requireIsOperational requireCallerIsApprovedAirline {
+        require(
+            airline == msg.sender,
+            "Airlines can only register their own flights"
+        );
+        require(timestamp > block.timestamp, "Flight departs in the past");
+
         bytes32 flightKey = getFlightKey(airline, flight, timestamp);
 
+        require(
+            !flights[flightKey].isRegistered,
+            "Flight is already registered"
+        );
+
+        flightKeys.push(flightKey);
         flights[flightKey] = Flight({
             isRegistered: true,
             statusCode: STATUS_CODE_UNKNOWN,
-            updatedTimestamp: timestamp,
-            airline: airline
+            updatedTimestamp: block.timestamp,
+            airline: airline,
+            flight: flight,
+            timestamp: timestamp
         });
+
+        emit FlightRegistered(airline, flight, timestamp);
+    }
+
+    function getFlightCount() external view returns (uint256) {
+        return flightKeys.length;
+    }
+
+    /**
+     * @dev Flight at a position in the catalog, the airline, flight and
+     *      timestamp together identify it for insurance and status requests
+     */
+    function getFlight(
+        uint256 index
+    )
+        external
+        view
+        returns (
+            address airline,
+            string memory flight,
+            uint256 timestamp,
+            uint8 statusCode,
+            uint256 updatedTimestamp
+        )
+    {
+        require(index < flightKeys.length, "Flight index out of range");
+
+        Flight storage registered = flights[flightKeys[index]];
+
+        return (
+            registered.airline,
+            registered.flight,
+            registered.timestamp,
+            registered.statusCode,
+            registered.updatedTimestamp
+        );
+    }
+
+    /**
+     * @dev Copies flights of the app this one replaces, with their status,
+     *      from position start on. Flights already in the catalog are
+     *      skipped, the others are announced with FlightRegistered.
+     */
+    function importFlights(
+        address payable previousApp,
+        uint256 start,
+        uint256 count
+    ) external requireIsOperational requireContractOwner {
+        FlightSuretyApp previous = FlightSuretyApp(previousApp);
+        uint256 end = start + count;
+
+        if (end > previous.getFlightCount()) {
+            end = previous.getFlightCount();
+        }
+
+        for (uint256 index = start; index < end; index++) {
+            Flight memory flight;
+
+            (
+                flight.airline,
+                flight.flight,
+                flight.timestamp,
+                flight.statusCode,
+                flight.updatedTimestamp
+            ) = previous.getFlight(index);
+
+            bytes32 flightKey = getFlightKey(
+                flight.airline,
+                flight.flight,
+                flight.timestamp
+            );
+
+            if (flights[flightKey].isRegistered) {
+                continue;
+            }
+
+            flight.isRegistered = true;
+            flightKeys.push(flightKey);
+            flights[flightKey] = flight;
+
+            emit FlightRegistered(flight.airline, flight.flight, flight.timestamp);
+        }
+    }
+
+    /**
+     * @dev Status of a flight and when it was last updated, by registration
+     *      or by the oracles
+     */
+    function getFlightStatus(
+        address airline,
+        string calldata flight,
+        uint256 timestamp
+    )
+        external
+        view
+        returns (bool isRegistered, uint8 statusCode, uint256 updatedTimestamp)
+    {
+        Flight storage registered = flights[
+            getFlightKey(airline, flight, timestamp)
+        ];
+
+        return (
+            registered.isRegistered,
+            registered.statusCode,
+            registered.updatedTimestamp
+        );
     }
 
     /**
@@ -302,18 +614,37 @@ contract FlightSuretyApp {
         bytes32 flightKey = getFlightKey(airline, flight, timestamp);
 
         flights[flightKey].statusCode = statusCode;
-
-        if (statusCode == STATUS_CODE_LATE_AIRLINE) {
-            flightSuretyData.creditInsurees(airline, flight, timestamp);
+        flights[flightKey].updatedTimestamp = block.timestamp;
+
+        // The policy terms decide which status codes pay out
+        if (statusCode != STATUS_CODE_UNKNOWN) {
+            flightSuretyData.creditInsurees(
+                airline,
+                flight,
+                timestamp,
+                statusCode
+            );
         }
     }
 
     // Generate a request for oracles to fetch flight information
+    // Flights with a known status are final, only an UNKNOWN consensus
+    // can be asked again
     function fetchFlightStatus(
         address airline,
         string calldata flight,
         uint256 timestamp
-    ) external {
+    ) external requireIsOperational {
+        Flight storage registered = flights[
+            getFlightKey(airline, flight, timestamp)
+        ];
+
+        require(registered.isRegistered, "Flight is not registered");
+        require(
+            registered.statusCode == STATUS_CODE_UNKNOWN,
+            "Flight status is already final"
+        );
+
         uint8 index = getRandomIndex(msg.sender);
 
         // Generate a unique key for storing the request
@@ -323,8 +654,15 @@ contract FlightSuretyApp {
 
         ResponseInfo storage response = oracleResponses[key];
 
+        require(!response.isFinalized, "Oracle request is already finalized");
+        // Reopening would postpone the timeout of the open request
+        require(!response.isOpen, "Oracle request is already open");
+
         response.requester = msg.sender;
         response.isOpen = true;
+        response.isClosed = false;
+        response.openedAt = block.timestamp;
+        response.round = response.round + 1;
 
         emit OracleRequest(index, airline, flight, timestamp);
     }
@@ -334,28 +672,73 @@ contract FlightSuretyApp {
     // Incremented to add pseudo-randomness at various points
     uint8 private nonce = 0;
 
-    // Fee to be paid when registering oracle
+    // Fee to be paid when registering oracle, held as the oracle's stake
     uint256 public constant REGISTRATION_FEE = 1 ether;
 
+    // Oracles whose stake falls below this are deregistered
+    uint256 public constant MIN_ORACLE_STAKE = 0.5 ether;
+
+    // Taken from the stake for a report against the consensus, and for a
+    // request the oracle was invited to and did not answer in time
+    uint256 public constant ORACLE_SLASH = 0.2 ether;
+
+    // Share of the reward pool the oracles of a consensus split, in percent
+    uint256 public constant ORACLE_REWARD_PERCENT = 10;
+
+    // Time oracles have to answer before a request can be closed
+    uint256 public constant ORACLE_RESPONSE_TIMEOUT = 5 minutes;
+
     // Number of oracles that must respond for valid status
     uint256 private constant MIN_RESPONSES = 3;
 
+    // Slashed stakes and contributions, paid out as oracle rewards
+    uint256 public oracleRewardPool;
+
     struct Oracle {
         bool isRegistered;
+        // Set on the first registration, when the account is listed
+        bool isListed;
         uint8[3] indexes;
+        uint256 registeredAt;
+        uint256 stake;
+        // Rewards and returned stake, waiting to be withdrawn
+        uint256 earnings;
+        // Reports that matched the consensus or went against it, and
+        // requests closed without an answer of the oracle
+        uint32 matched;
+        uint32 disputed;
+        uint32 missed;
     }
 
     // Track all registered oracles
     mapping(address => Oracle) private oracles;
 
+    // Every account that ever registered as an oracle
+    address[] private oracleAccounts;
+
+    // Registered oracles by the indexes they hold, the oracles a request
+    // for an index invites
+    mapping(uint8 => EnumerableSet.AddressSet) private indexOracles;
+
     // Model for responses from oracles
     struct ResponseInfo {
         // Account that requested status
         address requester;
         // If open, oracle responses are accepted
         bool isOpen;
-        // Mapping key is the status code reported
-        mapping(uint8 => address[]) responses;
+        // Set once MIN_RESPONSES oracles agreed, the request is closed for good
+        bool isFinalized;
+        // Set when the round is closed and its silent oracles were slashed
+        bool isClosed;
+        // Block time the request was last opened
+        uint256 openedAt;
+        // Each opening of the request starts a new round of reports, a
+        // request closed without consensus starts over when asked again
+        uint256 round;
+        // Oracles that answered in a round, each answers once
+        mapping(uint256 => mapping(address => bool)) responded;
+        // Reports of a round, mapping key is the status code reported
+        mapping(uint256 => mapping(uint8 => address[])) responses;
         // This lets us group responses and identify
         // the response that majority of the oracles
     }
@@ -379,6 +762,12 @@ contract FlightSuretyApp {
         uint8 status
     );
 
+    event OracleRewarded(address oracle, uint256 amount);
+
+    event OracleSlashed(address oracle, uint256 amount);
+
+    event OracleDeregistered(address oracle);
+
     // Event fired when flight status request is submitted
     // Oracles track this and if they have a matching index
     // they fetch data and submit a response
@@ -389,14 +778,116 @@ contract FlightSuretyApp {
         uint256 timestamp
     );
 
-    // Register an oracle with the contract
-    function registerOracle() external payable {
+    // Register an oracle with the contract, everything paid is its stake.
+    // Deregistered oracles can register again with a new stake.
+    function registerOracle() external payable requireIsOperational {
         // Require registration fee
         require(msg.value >= REGISTRATION_FEE, "Registration fee is required");
 
-        uint8[3] memory indexes = generateIndexes(msg.sender);
+        Oracle storage oracle = oracles[msg.sender];
+
+        require(!oracle.isRegistered, "Oracle is already registered");
 
-        oracles[msg.sender] = Oracle({isRegistered: true, indexes: indexes});
+        if (!oracle.isListed) {
+            oracle.isListed = true;
+            oracleAccounts.push(msg.sender);
+        }
+
+        oracle.isRegistered = true;
+        oracle.indexes = generateIndexes(msg.sender);
+        oracle.registeredAt = block.timestamp;
+        oracle.stake = msg.value;
+
+        for (uint256 i = 0; i < 3; i++) {
+            EnumerableSet.add(indexOracles[oracle.indexes[i]], msg.sender);
+        }
+    }
+
+    /**
+     * @dev Adds to the pool oracle rewards are paid from
+     */
+    function fundOracleRewards() external payable requireIsOperational {
+        require(msg.value > 0, "Did not send any funds.");
+
+        oracleRewardPool = oracleRewardPool + msg.value;
+    }
+
+    /**
+     * @dev Pays out the rewards and returned stake of the calling oracle
+     */
+    function withdrawOracleEarnings() external requireIsOperational {
+        uint256 amount = oracles[msg.sender].earnings;
+
+        require(amount > 0, "There are no oracle earnings");
+
+        oracles[msg.sender].earnings = 0;
+        payable(msg.sender).transfer(amount);
+    }
+
+    /**
+     * @dev Once an upgrade replaced this app, pays out the stake and earnings
+     *      of the calling oracle, which can then register with the new app
+     */
+    function withdrawOracleStake() external requireReplaced {
+        Oracle storage oracle = oracles[msg.sender];
+        uint256 amount = oracle.stake + oracle.earnings;
+
+        require(amount > 0, "There is no oracle stake");
+
+        if (oracle.isRegistered) {
+            deregisterOracle(msg.sender);
+        }
+
+        oracle.stake = 0;
+        oracle.earnings = 0;
+        payable(msg.sender).transfer(amount);
+    }
+
+    /**
+     * @dev Once an upgrade replaced this app, moves the reward pool to the
+     *      new app
+     */
+    function transferOracleRewardPool(
+        address payable newApp
+    ) external requireReplaced requireContractOwner {
+        uint256 amount = oracleRewardPool;
+
+        require(amount > 0, "There is no reward pool");
+
+        oracleRewardPool = 0;
+        FlightSuretyApp(newApp).fundOracleRewards{value: amount}();
+    }
+
+    function getOracles() external view returns (address[] memory) {
+        return oracleAccounts;
+    }
+
+    function getOracle(
+        address account
+    )
+        external
+        view
+        returns (
+            bool isRegistered,
+            uint8[3] memory indexes,
+            uint256 stake,
+            uint256 earnings,
+            uint32 matched,
+            uint32 disputed,
+            uint32 missed
+        )
+    {
+        Oracle storage oracle = oracles[account];
+
+        return (
+            oracle.isRegistered,
+            oracle.indexes,
+            oracle.stake,
+            oracle.earnings,
+            oracle.matched,
+            oracle.disputed,
+            oracle.missed
+        );
     }
 
     function getMyIndexes() external view returns (uint8[3] memory) {
@@ -418,7 +909,15 @@ contract FlightSuretyApp {
         string calldata flight,
         uint256 timestamp,
         uint8 statusCode
-    ) external {
+    ) external requireIsOperational {
+        require(
+            oracles[msg.sender].isRegistered,
+            "Not registered as an oracle"
+        );
+        require(
+            statusCode <= STATUS_CODE_LATE_OTHER && statusCode % 10 == 0,
+            "Unknown status code"
+        );
         require(
             (oracles[msg.sender].indexes[0] == index) ||
                 (oracles[msg.sender].indexes[1] == index) ||
@@ -429,19 +928,53 @@ contract FlightSuretyApp {
         bytes32 key = keccak256(
             abi.encodePacked(index, airline, flight, timestamp)
         );
+        ResponseInfo storage response = oracleResponses[key];
+
         require(
-            oracleResponses[key].isOpen,
+            response.isOpen || response.isFinalized,
             "Flight or timestamp do not match oracle request"
         );
+        // Responses arriving after the consensus are stale. Until the timeout
+        // they are recorded, so that oracles slower than the consensus are
+        // not slashed as silent when the request is closed.
+        require(
+            !response.isFinalized ||
+                block.timestamp < response.openedAt + ORACLE_RESPONSE_TIMEOUT,
+            "Oracle request is already finalized"
+        );
+        uint256 round = response.round;
 
-        oracleResponses[key].responses[statusCode].push(msg.sender);
+        require(
+            !response.responded[round][msg.sender],
+            "Oracle has already responded"
+        );
+
+        response.responded[round][msg.sender] = true;
+
+        if (response.isFinalized) {
+            return;
+        }
+
+        response.responses[round][statusCode].push(msg.sender);
 
         // Information isn't considered verified until at least MIN_RESPONSES
         // oracles respond with the *** same *** information
         emit OracleReport(airline, flight, timestamp, statusCode);
-        if (
-            oracleResponses[key].responses[statusCode].length >= MIN_RESPONSES
-        ) {
+        if (response.responses[round][statusCode].length >= MIN_RESPONSES) {
+            response.isOpen = false;
+            response.isFinalized = true;
+
+            settleOracleReports(response, statusCode);
+
+            // Another request for the flight may have been opened before
+            // this one and finalized first, its status stands
+            if (
+                flights[getFlightKey(airline, flight, timestamp)].statusCode !=
+                STATUS_CODE_UNKNOWN
+            ) {
+                return;
+            }
+
             emit FlightStatusInfo(airline, flight, timestamp, statusCode);
 
             // Handle flight status as appropriate
@@ -449,10 +982,153 @@ contract FlightSuretyApp {
         }
     }
 
-    function getFlightKey(
+    /**
+     * @dev Closes a request once its oracles had ORACLE_RESPONSE_TIMEOUT to
+     *      answer and slashes the invited oracles that did not. Anyone can
+     *      close a request. Without consensus, the flight's status can then
+     *      be requested again, a finalized request stays final.
+     */
+    function closeOracleRequest(
+        uint8 index,
+        address airline,
+        string calldata flight,
+        uint256 timestamp
+    ) external requireIsOperational {
+        ResponseInfo storage response = oracleResponses[
+            keccak256(abi.encodePacked(index, airline, flight, timestamp))
+        ];
+
+        require(
+            response.isOpen || response.isFinalized,
+            "Flight or timestamp do not match oracle request"
+        );
+        require(!response.isClosed, "Oracle request is already closed");
+        require(
+            block.timestamp >= response.openedAt + ORACLE_RESPONSE_TIMEOUT,
+            "Oracles can still answer the request"
+        );
+
+        response.isOpen = false;
+        response.isClosed = true;
+
+        EnumerableSet.AddressSet storage invited = indexOracles[index];
+
+        // Walked from the end, deregistering a slashed oracle only moves the
+        // last oracle of the set, which was already visited, into its place
+        for (uint256 i = EnumerableSet.length(invited); i > 0; i--) {
+            address account = EnumerableSet.at(invited, i - 1);
+            Oracle storage oracle = oracles[account];
+
+            if (
+                oracle.registeredAt <= response.openedAt &&
+                !response.responded[response.round][account]
+            ) {
+                oracle.missed++;
+                slashOracle(account);
+            }
+        }
+    }
+
+    // Slashes the oracles that reported against the consensus, then splits
+    // a share of the reward pool between the ones that made it
+    function settleOracleReports(
+        ResponseInfo storage response,
+        uint8 statusCode
+    ) internal {
+        for (uint8 code = 0; code <= STATUS_CODE_LATE_OTHER; code += 10) {
+            if (code == statusCode) {
+                continue;
+            }
+
+            address[] storage against = response.responses[response.round][
+                code
+            ];
+
+            for (uint256 i = 0; i < against.length; i++) {
+                oracles[against[i]].disputed++;
+                slashOracle(against[i]);
+            }
+        }
+
+        address[] storage matching = response.responses[response.round][
+            statusCode
+        ];
+        uint256 reward = (oracleRewardPool * ORACLE_REWARD_PERCENT) /
+            100 /
+            matching.length;
+
+        for (uint256 i = 0; i < matching.length; i++) {
+            oracles[matching[i]].matched++;
+
+            if (reward > 0) {
+                oracles[matching[i]].earnings =
+                    oracles[matching[i]].earnings +
+                    reward;
+                oracleRewardPool = oracleRewardPool - reward;
+
+                emit OracleRewarded(matching[i], reward);
+            }
+        }
+    }
+
+    // Moves ORACLE_SLASH of the stake to the reward pool, an oracle left
+    // below MIN_ORACLE_STAKE is deregistered and gets the rest back
+    function slashOracle(address account) internal {
+        Oracle storage oracle = oracles[account];
+        uint256 amount = oracle.stake < ORACLE_SLASH
+            ? oracle.stake
+            : ORACLE_SLASH;
+
+        oracle.stake = oracle.stake - amount;
+        oracleRewardPool = oracleRewardPool + amount;
+
+        emit OracleSlashed(account, amount);
+
+        if (oracle.isRegistered && oracle.stake < MIN_ORACLE_STAKE) {
+            oracle.earnings = oracle.earnings + oracle.stake;
+            oracle.stake = 0;
+
+            deregisterOracle(account);
+        }
+    }
+
+    // Takes the oracle out of the requests for its indexes
+    function deregisterOracle(address account) internal {
+        Oracle storage oracle = oracles[account];
+
+        oracle.isRegistered = false;
+
+        for (uint256 i = 0; i < 3; i++) {
+            EnumerableSet.remove(indexOracles[oracle.indexes[i]], account);
+        }
+
+        emit OracleDeregistered(account);
+    }
+
+    /**
+     * @dev State of the oracle request stored under the request key
+     */
+    function getOracleRequest(
+        uint8 index,
         address airline,
         string calldata flight,
         uint256 timestamp
+    )
+        external
+        view
+        returns (address requester, bool isOpen, bool isFinalized)
+    {
+        ResponseInfo storage response = oracleResponses[
+            keccak256(abi.encodePacked(index, airline, flight, timestamp))
+        ];
+
+        return (response.requester, response.isOpen, response.isFinalized);
+    }
+
+    function getFlightKey(
+        address airline,
+        string memory flight,
+        uint256 timestamp
     ) internal pure returns (bytes32) {
         return keccak256(abi.encodePacked(airline, flight, timestamp));
     }
@@ -16,6 +16,15 @@ contract FlightSuretyData {
         address passenger;
         string flightNo;
         bool paidOut;
+        // Version of the policy terms the policy was bought under
+        uint256 terms;
+    }
+
+    // Payout in percent of the premium for each status code, at the status
+    // code / 10, and the most a passenger can insure a flight for
+    struct PolicyTerms {
+        uint16[6] payoutPercents;
+        uint256 maxCoverage;
     }
 
     struct Airline {
@@ -42,21 +51,54 @@ contract FlightSuretyData {
     // Contracts allowed to access data
     mapping(bytes32 => Insurance[]) private boughtInsurances;
 
+    // Every version of the policy terms, the last one applies to new policies
+    PolicyTerms[] private policyTerms;
+
+    // Funds the airlines put up and the premiums passengers paid
+    uint256 private airlineCapital;
+    uint256 private totalPremiums;
+
+    // Payouts credited to passengers and not withdrawn yet, and withdrawn
+    uint256 private creditedPayouts;
+    uint256 private withdrawnPayouts;
+
+    // Most the policies of a flight can pay out until its status is final,
+    // at the highest payout percent of their terms
+    mapping(bytes32 => uint256) private flightInsuredValue;
+    mapping(bytes32 => uint256) private flightExposure;
+    uint256 private totalExposure;
+
     EnumerableSet.AddressSet private waitingAirlines;
     EnumerableSet.AddressSet private approvedAirlines;
 
     // Blocks all state changes throughout the contract if false
     bool private operational = true;
 
+    // Time the approved airlines have to decide a proposal to change the
+    // operating status, from its first vote
+    uint256 public constant OPERATING_STATUS_VOTE_TIMEOUT = 1 days;
+
+    // Votes of approved airlines to pause or resume the contract
+    struct StatusProposal {
+        bool mode;
+        uint256 openedAt;
+        bool isDecided;
+        EnumerableSet.AddressSet voters;
+    }
+
+    // Every proposal, only the last one can be open
+    StatusProposal[] private statusProposals;
+
     /************************************************************************/
     /*                             EVENT DEFINITIONS                        */
     /************************************************************************/
 
     /**
      * @dev Constructor
-     *      The deploying account becomes contractOwner
+     *      The deploying account becomes contractOwner and pays in the
+     *      first airline's funds
      */
-    constructor(address airlineAddress, string memory airlineName) {
+    constructor(address airlineAddress, string memory airlineName) payable {
         contractOwner = msg.sender;
 
         // add the first airline
@@ -65,8 +107,17 @@ contract FlightSuretyData {
         registeredAirlines[airlineAddress] = Airline({
             name: airlineName,
             isApproved: true,
-            fundedValue: 10 ether
+            fundedValue: msg.value
         });
+        airlineCapital = msg.value;
+
+        // 1.5 times the premium when the airline is late, up to 1 ether
+        policyTerms.push(
+            PolicyTerms({
+                payoutPercents: [uint16(0), 0, 150, 0, 0, 0],
+                maxCoverage: 1 ether
+            })
+        );
     }
 
     /************************************************************************/
@@ -83,13 +134,98 @@ contract FlightSuretyData {
     }
 
     /**
-     * @dev Sets contract operations on/off
+     * @dev Counts the vote of an approved airline to turn contract operations
+     *      on or off. The vote joins the open proposal or opens a new one,
+     *      half of the approved airlines, rounded up, decide it.
      *
      * When operational mode is disabled,
      * all write transactions except for this one will fail
      */
-    function setOperatingStatus(bool mode) external requireContractOwner {
-        operational = mode;
+    function voteOperatingStatus(
+        bool mode,
+        address airlineAddress
+    )
+        external
+        requireAuthorizedContract
+        requireApprovedAirline(airlineAddress)
+        returns (uint256 proposal, uint256 votes, uint256 required)
+    {
+        require(
+            mode != operational,
+            "Contract is already in this operating status"
+        );
+
+        // An open proposal is always for the other status
+        if (!isStatusProposalOpen()) {
+            statusProposals.push();
+            statusProposals[statusProposals.length - 1].mode = mode;
+            statusProposals[statusProposals.length - 1].openedAt = block
+                .timestamp;
+        }
+
+        proposal = statusProposals.length - 1;
+        StatusProposal storage current = statusProposals[proposal];
+
+        require(
+            EnumerableSet.add(current.voters, airlineAddress),
+            "Airline has already voted on this proposal"
+        );
+
+        votes = EnumerableSet.length(current.voters);
+        required = (EnumerableSet.length(approvedAirlines) + 1) / 2;
+
+        if (votes >= required) {
+            current.isDecided = true;
+            operational = mode;
+        }
+    }
+
+    function getOperatingStatusProposalCount() external view returns (uint256) {
+        return statusProposals.length;
+    }
+
+    function getOperatingStatusProposal(
+        uint256 proposal
+    )
+        external
+        view
+        returns (
+            bool mode,
+            uint256 openedAt,
+            bool isDecided,
+            bool isOpen,
+            address[] memory voters
+        )
+    {
+        require(
+            proposal < statusProposals.length,
+            "Unknown operating status proposal"
+        );
+
+        StatusProposal storage current = statusProposals[proposal];
+
+        return (
+            current.mode,
+            current.openedAt,
+            current.isDecided,
+            proposal == statusProposals.length - 1 && isStatusProposalOpen(),
+            EnumerableSet.values(current.voters)
+        );
+    }
+
+    // Whether the last proposal still takes votes
+    function isStatusProposalOpen() internal view returns (bool) {
+        if (statusProposals.length == 0) {
+            return false;
+        }
+
+        StatusProposal storage last = statusProposals[
+            statusProposals.length - 1
+        ];
+
+        return
+            !last.isDecided &&
+            block.timestamp < last.openedAt + OPERATING_STATUS_VOTE_TIMEOUT;
     }
 
     function authorizeContract(
@@ -104,6 +240,12 @@ contract FlightSuretyData {
         authorizedContracts[contractAddress] = false;
     }
 
+    function isAuthorizedContract(
+        address contractAddress
+    ) external view returns (bool) {
+        return authorizedContracts[contractAddress];
+    }
+
     function isRegisteredAirline(
         address airlineAddress
     ) external view returns (bool) {
@@ -136,6 +278,99 @@ contract FlightSuretyData {
         return payouts[passenger] > 0;
     }
 
+    function getPayout(address passenger) external view returns (uint256) {
+        return payouts[passenger];
+    }
+
+    function getPolicyTermsCount() external view returns (uint256) {
+        return policyTerms.length;
+    }
+
+    function getPolicyTerms(
+        uint256 version
+    )
+        external
+        view
+        returns (uint16[6] memory payoutPercents, uint256 maxCoverage)
+    {
+        require(version < policyTerms.length, "Unknown policy terms");
+
+        return (
+            policyTerms[version].payoutPercents,
+            policyTerms[version].maxCoverage
+        );
+    }
+
+    /**
+     * @dev Funds backing the policies and what they can cost: capital and
+     *      premiums paid in, payouts credited and withdrawn, and the
+     *      exposure of flights without a final status
+     */
+    function getSolvency()
+        external
+        view
+        returns (
+            uint256 capital,
+            uint256 premiums,
+            uint256 credited,
+            uint256 withdrawn,
+            uint256 exposure,
+            uint256 backing
+        )
+    {
+        return (
+            airlineCapital,
+            totalPremiums,
+            creditedPayouts,
+            withdrawnPayouts,
+            totalExposure,
+            backingCapital()
+        );
+    }
+
+    function getFlightExposure(
+        address airline,
+        string memory flight,
+        uint256 timestamp
+    ) external view returns (uint256 insuredValue, uint256 exposure) {
+        bytes32 flightKey = getFlightKey(airline, flight, timestamp);
+
+        return (flightInsuredValue[flightKey], flightExposure[flightKey]);
+    }
+
+    function getAirlines()
+        external
+        view
+        returns (address[] memory approved, address[] memory waiting)
+    {
+        return (
+            EnumerableSet.values(approvedAirlines),
+            EnumerableSet.values(waitingAirlines)
+        );
+    }
+
+    function getAirline(
+        address airlineAddress
+    )
+        external
+        view
+        returns (
+            string memory name,
+            uint256 fundedValue,
+            bool isApproved,
+            uint256 votes
+        )
+    {
+        Airline storage airline = registeredAirlines[airlineAddress];
+
+        return (
+            airline.name,
+            airline.fundedValue,
+            airline.isApproved,
+            EnumerableSet.length(airlineToVoters[airlineAddress])
+        );
+    }
+
     /************************************************************************/
     /*                             FUNCTION MODIFIERS                       */
     /************************************************************************/
@@ -291,7 +526,33 @@ contract FlightSuretyData {
     }
 
     /**
-     * @dev Buy insurance for a flight
+     * @dev Adds a version of the policy terms, policies bought from now on
+     *      are paid out by it
+     *
+     */
+    function addPolicyTerms(
+        uint16[6] calldata payoutPercents,
+        uint256 maxCoverage
+    )
+        external
+        requireIsOperational
+        requireAuthorizedContract
+        returns (uint256)
+    {
+        policyTerms.push(
+            PolicyTerms({
+                payoutPercents: payoutPercents,
+                maxCoverage: maxCoverage
+            })
+        );
+
+        return policyTerms.length - 1;
+    }
+
+    /**
+     * @dev Buy insurance for a flight, adding to the passenger's policy when
+     *      there is one. New policies get the current policy terms.
+     *      The exposure of all flights must stay within the backing capital.
      *
      */
     function buy(
@@ -302,40 +563,84 @@ contract FlightSuretyData {
         uint256 timestamp
     ) external payable requireAuthorizedContact {
         bytes32 flightKey = getFlightKey(airline, flightNo, timestamp);
+        Insurance[] storage insurances = boughtInsurances[flightKey];
+        uint256 terms = policyTerms.length - 1;
+        bool isTopUp = false;
 
-        Insurance memory insurance = Insurance({
-            value: value,
-            passenger: passenger,
-            flightNo: flightNo,
-            paidOut: false
-        });
-        boughtInsurances[flightKey].push(insurance);
+        for (uint256 index = 0; index < insurances.length; index++) {
+            if (insurances[index].passenger == passenger) {
+                insurances[index].value = insurances[index].value + value;
+                terms = insurances[index].terms;
+                isTopUp = true;
+                break;
+            }
+        }
+
+        if (!isTopUp) {
+            Insurance memory insurance = Insurance({
+                value: value,
+                passenger: passenger,
+                flightNo: flightNo,
+                paidOut: false,
+                terms: terms
+            });
+            insurances.push(insurance);
+        }
+
+        uint256 exposure = (value * maxPayoutPercent(terms)) / 100;
+
+        totalPremiums = totalPremiums + value;
+        totalExposure = totalExposure + exposure;
+        flightInsuredValue[flightKey] = flightInsuredValue[flightKey] + value;
+        flightExposure[flightKey] = flightExposure[flightKey] + exposure;
+
+        // Every flight without a final status may pay out in full, the
+        // capital has to back all of them together
+        require(
+            totalExposure <= backingCapital(),
+            "Exposure exceeds the backing capital"
+        );
     }
 
     /**
-     *  @dev Credits payouts to insurees
+     *  @dev Credits payouts to insurees for the final status of their flight,
+     *       each policy by the terms it was bought under. The flight's
+     *       exposure turns into the credited payouts.
      */
     function creditInsurees(
         address airlineAddress,
         string memory flight,
-        uint256 timestamp
+        uint256 timestamp,
+        uint8 statusCode
     ) external requireIsOperational requireAuthorizedContract {
+        require(
+            statusCode <= 50 && statusCode % 10 == 0,
+            "Unknown status code"
+        );
+
         bytes32 flightKey = getFlightKey(airlineAddress, flight, timestamp);
 
         Insurance[] storage toBePaied = boughtInsurances[flightKey];
 
         for (uint256 index = 0; index < toBePaied.length; index++) {
             Insurance storage ins = toBePaied[index];
+            uint256 percent = policyTerms[ins.terms].payoutPercents[
+                statusCode / 10
+            ];
 
-            if (ins.paidOut == false) {
+            if (ins.paidOut == false && percent > 0) {
                 // calc payout
-                uint256 payoutValue = (ins.value * 150) / 100;
+                uint256 payoutValue = (ins.value * percent) / 100;
 
                 ins.paidOut = true;
 
                 payouts[ins.passenger] = payouts[ins.passenger] + payoutValue;
+                creditedPayouts = creditedPayouts + payoutValue;
             }
         }
+
+        totalExposure = totalExposure - flightExposure[flightKey];
+        flightExposure[flightKey] = 0;
     }
 
     /**
@@ -356,6 +661,8 @@ contract FlightSuretyData {
         uint256 amount = payouts[passenger];
 
         payouts[passenger] = 0;
+        creditedPayouts = creditedPayouts - amount;
+        withdrawnPayouts = withdrawnPayouts + amount;
         payable(passenger).transfer(amount);
 
         return amount;
@@ -381,6 +688,7 @@ contract FlightSuretyData {
         registeredAirlines[airlineAddress].fundedValue =
             registeredAirlines[airlineAddress].fundedValue +
             amount;
+        airlineCapital = airlineCapital + amount;
 
         if (registeredAirlines[airlineAddress].isApproved) {
             approveAirline(airlineAddress);
@@ -409,10 +717,34 @@ contract FlightSuretyData {
                 value: 0,
                 passenger: address(0),
                 flightNo: "",
-                paidOut: false
+                paidOut: false,
+                terms: 0
             });
     }
 
+    // Funds held for the policies once the credited payouts are set aside,
+    // none when the payouts owed exceed what was paid in
+    function backingCapital() internal view returns (uint256) {
+        uint256 paidIn = airlineCapital + totalPremiums;
+        uint256 owed = withdrawnPayouts + creditedPayouts;
+
+        return paidIn > owed ? paidIn - owed : 0;
+    }
+
+    // The highest payout of a version of the policy terms, in percent of
+    // the premium
+    function maxPayoutPercent(uint256 version) internal view returns (uint256) {
+        uint256 percent = 0;
+
+        for (uint256 i = 0; i < 6; i++) {
+            if (policyTerms[version].payoutPercents[i] > percent) {
+                percent = policyTerms[version].payoutPercents[i];
+            }
+        }
+
+        return percent;
+    }
+
     function getFlightKey(
         address airline,
         string memory flight,
@@ -1,11 +1,22 @@
 const FlightSuretyApp = artifacts.require("FlightSuretyApp");
 const FlightSuretyData = artifacts.require("FlightSuretyData");
-const fs = require("fs");
+const { writeDeployment } = require("../config/deployments");
+const { abiVersion } = require("../src/shared/abiVersion");
 
-module.exports = async function (deployer) {
-	let firstAirline = "0xf17f52151EbEF6C7334FAD080c5704D77216b732";
+// Node URLs the dapp and server connect to, other networks can pass theirs
+// in RPC_URL (keep API keys out of it, the dapp bundles this file)
+const URLS = {
+	development: "http://localhost:8545",
+};
+
+module.exports = async function (deployer, network, accounts) {
+	let firstAirline = process.env.FIRST_AIRLINE || accounts[1];
 
-	await deployer.deploy(FlightSuretyData, firstAirline, "Airline Zero");
+	// The deploying account pays in the first airline's funds, the capital
+	// backing the first policies
+	await deployer.deploy(FlightSuretyData, firstAirline, "Airline Zero", {
+		value: web3.utils.toWei("10", "ether"),
+	});
 
 	let data = await FlightSuretyData.deployed();
 
@@ -14,23 +25,50 @@ module.exports = async function (deployer) {
 
 	await data.authorizeContract(app.address);
 
-	let config = {
-		localhost: {
-			url: "http://localhost:8545",
-			dataAddress: FlightSuretyData.address,
-			appAddress: FlightSuretyApp.address,
-		},
-	};
-
-	fs.writeFileSync(
-		__dirname + "/../src/dapp/config.json",
-		JSON.stringify(config, null, "\t"),
-		"utf-8"
-	);
+	// Sample flights for the dapp catalog, departing over the coming weeks
+	const DAY = 24 * 60 * 60;
+	const now = Math.floor(Date.now() / 1000);
+	const flights = [
+		["UL 301", 1],
+		["UL 302", 3],
+		["UL 303", 7],
+		["SQ 22", 10],
+		["SQ 32", 14],
+		["SQ 34", 21],
+		["SQ 468", 28],
+	];
 
-	fs.writeFileSync(
-		__dirname + "/../src/server/config.json",
-		JSON.stringify(config, null, "\t"),
-		"utf-8"
+	// Airlines register their own flights, which needs the first airline's key
+	if (
+		accounts.some(
+			(account) => account.toLowerCase() === firstAirline.toLowerCase()
+		)
+	) {
+		for (const [flight, days] of flights) {
+			await app.registerFlight(flight, now + days * DAY, firstAirline, {
+				from: firstAirline,
+			});
+		}
+	} else {
+		console.log(
+			`First airline ${firstAirline} is not an unlocked account, no sample flights registered`
+		);
+	}
+
+	let dataReceipt = await web3.eth.getTransactionReceipt(
+		FlightSuretyData.transactionHash
 	);
+
+	writeDeployment(network, {
+		network: network,
+		chainId: await web3.eth.getChainId(),
+		url: process.env.RPC_URL || URLS[network] || null,
+		dataAddress: FlightSuretyData.address,
+		appAddress: FlightSuretyApp.address,
+		firstAirline: firstAirline,
+		deploymentBlock: dataReceipt.blockNumber,
+		abiVersion: abiVersion([FlightSuretyApp, FlightSuretyData]),
+		deployedAt: new Date().toISOString(),
+		serverUrl: process.env.SERVER_URL || "http://localhost:3000",
+	});
 };
@@ -0,0 +1,117 @@
+const FlightSuretyApp = artifacts.require("FlightSuretyApp");
+const FlightSuretyData = artifacts.require("FlightSuretyData");
+const { readDeployments, writeDeployment } = require("../config/deployments");
+const { abiVersion } = require("../src/shared/abiVersion");
+
+// Flights copied per importFlights transaction
+const IMPORT_BATCH = 20;
+
+function networkFromArgs(argv) {
+	const i = argv.indexOf("--network");
+
+	return i >= 0 && argv[i + 1] ? argv[i + 1] : "development";
+}
+
+function sameAddress(a, b) {
+	return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Moves the oracles the node holds the keys of from the old app to the new
+ * one: their stake and earnings are paid out by the old app, and they
+ * register again with the new app's fee. Other oracles do the same
+ * themselves with withdrawOracleStake().
+ */
+async function moveOracles(oldApp, app, accounts) {
+	const fee = await app.REGISTRATION_FEE.call();
+	const moved = [];
+
+	for (const account of await oldApp.getOracles.call()) {
+		if (!accounts.some((known) => sameAddress(known, account))) {
+			continue;
+		}
+
+		const oracle = await oldApp.getOracle.call(account);
+
+		if (oracle.stake.isZero() && oracle.earnings.isZero()) {
+			continue;
+		}
+
+		await oldApp.withdrawOracleStake({ from: account });
+
+		if (oracle.isRegistered) {
+			await app.registerOracle({ from: account, value: fee });
+			moved.push(account);
+		}
+	}
+
+	return moved;
+}
+
+/**
+ * Deploys a new FlightSuretyApp against the deployed FlightSuretyData and
+ * hands the data contract over to it:
+ *
+ *   truffle exec scripts/upgradeApp.js --network <name>
+ *
+ * The new app is authorized and imports the flight catalog, then the old
+ * app is deauthorized, which locks it. Oracles of the node's accounts are
+ * moved along with the reward pool, and the network's entry in
+ * src/shared/deployments.json points the dapp and server at the new app.
+ */
+async function upgrade() {
+	const network = networkFromArgs(process.argv);
+	const deployment = readDeployments()[network];
+
+	if (!deployment) {
+		throw new Error(
+			`FlightSurety is not deployed on network "${network}", run truffle migrate --network ${network}`
+		);
+	}
+
+	const accounts = await web3.eth.getAccounts();
+	const data = await FlightSuretyData.at(deployment.dataAddress);
+	const oldApp = await FlightSuretyApp.at(deployment.appAddress);
+
+	if (!(await data.isAuthorizedContract.call(oldApp.address))) {
+		throw new Error(
+			`App ${oldApp.address} is not authorized by the data contract, it was already replaced`
+		);
+	}
+
+	const app = await FlightSuretyApp.new(data.address);
+	console.log(`Deployed FlightSuretyApp at ${app.address}`);
+
+	await data.authorizeContract(app.address);
+
+	const count = Number(await oldApp.getFlightCount.call());
+
+	for (let start = 0; start < count; start += IMPORT_BATCH) {
+		await app.importFlights(oldApp.address, start, IMPORT_BATCH);
+	}
+	console.log(`Imported ${count} flights`);
+
+	await data.deauthorizeContract(oldApp.address);
+	console.log(`Deauthorized the old app ${oldApp.address}`);
+
+	const moved = await moveOracles(oldApp, app, accounts);
+	console.log(`Registered ${moved.length} oracles with the new app`);
+
+	if (!(await oldApp.oracleRewardPool.call()).isZero()) {
+		await oldApp.transferOracleRewardPool(app.address);
+		console.log("Moved the oracle reward pool");
+	}
+
+	writeDeployment(network, {
+		...deployment,
+		appAddress: app.address,
+		abiVersion: abiVersion([FlightSuretyApp, FlightSuretyData]),
+		previousApps: (deployment.previousApps || []).concat(oldApp.address),
+		upgradedAt: new Date().toISOString(),
+	});
+	console.log(`Updated the "${network}" deployment`);
+}
+
+module.exports = function (callback) {
+	upgrade().then(() => callback(), callback);
+};
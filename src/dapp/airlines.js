@@ -0,0 +1,221 @@
+import DOM from "./dom";
+import { describeError } from "./errors";
+
+// Stake an airline has to fund before it takes part in the contract
+const AIRLINE_FUND = "10";
+
+// Seconds a proposal to pause or resume the contracts takes votes
+const OPERATING_STATUS_VOTE_TIMEOUT = 24 * 60 * 60;
+
+/**
+ * Airline section of the dapp: register an airline, vote for the ones
+ * waiting in the queue, fund the stake, register flights and vote to pause
+ * or resume the contracts, acting as one of the airline accounts of the
+ * contract
+ */
+export default class AirlineConsole {
+	constructor(contract) {
+		this.contract = contract;
+	}
+
+	initialize() {
+		let self = this;
+
+		self.renderAccounts();
+
+		DOM.elid("register-airline").addEventListener("click", () => {
+			let address = DOM.elid("airline-address").value.trim();
+			let name = DOM.elid("airline-name").value.trim();
+
+			if (!self.contract.web3.utils.isAddress(address) || !name) {
+				self.feedback("Enter the address and name of the new airline.", true);
+				return;
+			}
+
+			self.contract.registerAirline(
+				self.account(),
+				address,
+				name,
+				self.handle(`${name} registered.`)
+			);
+		});
+
+		DOM.elid("register-flight").addEventListener("click", () => {
+			let flight = DOM.elid("flight-number").value.trim();
+			// datetime-local is read in the browser's time zone
+			let departure = new Date(DOM.elid("flight-departure").value).getTime();
+
+			if (!flight || isNaN(departure)) {
+				self.feedback("Enter the flight number and departure time.", true);
+				return;
+			}
+			if (departure <= Date.now()) {
+				self.feedback("Only future flights can be registered.", true);
+				return;
+			}
+
+			self.contract.registerFlight(
+				self.account(),
+				flight,
+				Math.floor(departure / 1000),
+				self.handle(`Flight ${flight} registered.`)
+			);
+		});
+
+		DOM.elid("vote-pause").addEventListener("click", () => {
+			self.contract.voteOperatingStatus(
+				self.account(),
+				false,
+				self.handle("Voted to pause the contracts.")
+			);
+		});
+
+		DOM.elid("vote-resume").addEventListener("click", () => {
+			self.contract.voteOperatingStatus(
+				self.account(),
+				true,
+				self.handle("Voted to resume the contracts.")
+			);
+		});
+
+		DOM.elid("fund-airline").addEventListener("click", () => {
+			self.contract.fundAirline(
+				self.account(),
+				AIRLINE_FUND,
+				self.handle(`Funded ${AIRLINE_FUND} ETH.`)
+			);
+		});
+
+		self.refresh();
+	}
+
+	renderAccounts() {
+		let accounts = DOM.elid("airline-account");
+		let selected = accounts.value;
+
+		accounts.innerHTML = "";
+		this.contract.airlines.forEach((address) => {
+			let option = document.createElement("option");
+			option.text = address;
+			option.value = address;
+			option.selected = address == selected;
+			accounts.add(option);
+		});
+	}
+
+	account() {
+		return DOM.elid("airline-account").value;
+	}
+
+	handle(success) {
+		let self = this;
+
+		return (error, result) => {
+			if (error) {
+				self.feedback(describeError(error), true);
+			} else {
+				self.feedback(success, false);
+			}
+			self.refresh();
+		};
+	}
+
+	feedback(message, isError) {
+		let element = DOM.elid("airline-feedback");
+
+		element.className = isError ? "top-20 feedback-error" : "top-20 feedback";
+		element.textContent = message;
+	}
+
+	refresh() {
+		let self = this;
+
+		self.contract.getAirlines((error, airlines) => {
+			if (error) {
+				self.feedback(describeError(error), true);
+				return;
+			}
+			self.render(airlines);
+			self.refreshStatus(airlines.approved.length);
+		});
+	}
+
+	refreshStatus(approved) {
+		let self = this;
+
+		self.contract.getOperatingStatus((error, status) => {
+			if (error) {
+				self.feedback(describeError(error), true);
+				return;
+			}
+			self.renderStatus(status, approved);
+		});
+	}
+
+	renderStatus(status, approved) {
+		let text = status.isOperational ? "Operational" : "Paused";
+		let proposal = status.proposal;
+
+		// Decided by half of the approved airlines, rounded up
+		if (proposal && proposal.isOpen) {
+			text += `, ${proposal.voters.length} of ${Math.ceil(
+				approved / 2
+			)} votes to ${proposal.mode ? "resume" : "pause"} until ${new Date(
+				(proposal.openedAt + OPERATING_STATUS_VOTE_TIMEOUT) * 1000
+			).toLocaleString()}`;
+		}
+
+		DOM.elid("operating-status").textContent = text;
+	}
+
+	render(airlines) {
+		let self = this;
+		let queue = DOM.elid("airline-queue");
+		// A waiting airline is approved once half of the approved airlines
+		// voted for it, rounded down like the data contract does
+		let threshold = Math.floor(airlines.approved.length / 2);
+
+		queue.innerHTML = "";
+		queue.appendChild(
+			DOM.h5(
+				`${airlines.approved.length} approved airlines, ${threshold} votes (50%) approve a waiting airline`
+			)
+		);
+
+		if (airlines.waiting.length == 0) {
+			queue.appendChild(DOM.p("No airlines are waiting."));
+			return;
+		}
+
+		airlines.waiting.forEach((airline) => {
+			let row = DOM.div({ className: "row" });
+			let state = airline.isApproved
+				? `approved, funded ${self.contract.web3.utils.fromWei(
+						airline.fundedValue,
+						"ether"
+				  )} of ${AIRLINE_FUND} ETH`
+				: `${airline.votes} of ${threshold} votes`;
+
+			row.appendChild(DOM.div({ className: "col-sm-3 field" }, airline.name));
+			row.appendChild(
+				DOM.div({ className: "col-sm-5 field-value" }, airline.address)
+			);
+			row.appendChild(DOM.div({ className: "col-sm-2" }, state));
+
+			if (!airline.isApproved) {
+				let vote = DOM.button({ className: "btn btn-primary btn-sm" }, "Vote");
+
+				vote.addEventListener("click", () => {
+					self.contract.voteAirline(
+						self.account(),
+						airline.address,
+						self.handle(`Voted for ${airline.name}.`)
+					);
+				});
+				row.appendChild(DOM.div({ className: "col-sm-2" }, vote));
+			}
+
+			queue.appendChild(row);
+		});
+	}
+}
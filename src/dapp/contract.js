@@ -1,46 +1,163 @@
 import FlightSuretyApp from "../../build/contracts/FlightSuretyApp.json";
-import Config from "./config.json";
+import FlightSuretyData from "../../build/contracts/FlightSuretyData.json";
+import Deployments from "../shared/deployments.json";
+import { loadDeployment, verifyDeployment } from "../shared/deployment";
 import Web3 from "web3";
 import BigNumber from "bignumber.js";
+import TransactionTracker, { SKIPPED } from "./transactions";
+
+// "injected" signs with a browser wallet (EIP-1193 provider at
+// window.ethereum), "node" with the unlocked accounts of the local node
+export const MODE_INJECTED = "injected";
+export const MODE_NODE = "node";
 
 export default class Contract {
-	constructor(network, callback) {
-		let config = Config[network];
-		this.web3 = new Web3(new Web3.providers.HttpProvider(config.url));
-		this.web3 = new Web3(
-			new Web3.providers.WebsocketProvider(config.url.replace("http", "ws"))
-		);
+	constructor(network, callback, mode = MODE_NODE) {
+		let config;
+		try {
+			config = loadDeployment(Deployments, network, [
+				FlightSuretyApp,
+				FlightSuretyData,
+			]);
+		} catch (err) {
+			setTimeout(() => callback(err));
+			return;
+		}
+		this.config = config;
+		this.network = network;
+		this.mode = mode;
+		if (mode == MODE_INJECTED) {
+			this.web3 = new Web3(window.ethereum);
+		} else {
+			this.web3 = new Web3(
+				new Web3.providers.WebsocketProvider(config.url.replace("http", "ws"))
+			);
+		}
 		this.flightSuretyApp = new this.web3.eth.Contract(
 			FlightSuretyApp.abi,
 			config.appAddress
 		);
 		this.flightSuretyApp.options.gas = 200000;
+		// Have web3 replay failed transactions to read the revert reason
+		this.flightSuretyApp.handleRevert = true;
+		this.serverUrl = config.serverUrl || "http://localhost:3000";
 		this.owner = null;
 		this.airlines = [];
 		this.passengers = [];
+		this.accountListeners = [];
+		this.transactions = new TransactionTracker();
 		this.initialize(callback);
 	}
 
 	initialize(callback) {
-		this.web3.eth.getAccounts((error, accts) => {
-			this.owner = accts[0];
+		if (this.mode == MODE_INJECTED) {
+			this.initializeWallet(callback);
+		} else {
+			this.initializeNode(callback);
+		}
+	}
 
-			let counter = 1;
+	// Dev fallback: accounts are assigned by position, the owner first,
+	// then five airlines and five passengers
+	initializeNode(callback) {
+		verifyDeployment(this.web3, this.config)
+			.then(() => this.web3.eth.getAccounts())
+			.then((accts) => {
+				this.owner = accts[0];
 
-			while (this.airlines.length < 5) {
-				this.airlines.push(accts[counter++]);
-			}
+				let counter = 1;
+
+				while (this.airlines.length < 5) {
+					this.airlines.push(accts[counter++]);
+				}
+
+				while (this.passengers.length < 5) {
+					this.passengers.push(accts[counter++]);
+				}
+
+				callback();
+			})
+			.catch((err) => {
+				callback(err);
+			});
+	}
+
+	// Every account the wallet shares can act as owner, airline or passenger,
+	// the wallet decides which ones that are
+	initializeWallet(callback) {
+		let self = this;
+		let ethereum = window.ethereum;
+
+		ethereum
+			.request({ method: "eth_requestAccounts" })
+			.then((accts) => self.checkChain().then(() => accts))
+			.then((accts) =>
+				verifyDeployment(self.web3, self.config).then(() => accts)
+			)
+			.then((accts) => {
+				self.setAccounts(accts);
+
+				ethereum.on("accountsChanged", (accts) => {
+					self.setAccounts(accts);
+					self.accountListeners.forEach((listener) => listener(accts));
+				});
+				// Contract addresses belong to one chain, start over on another one
+				ethereum.on("chainChanged", () => window.location.reload());
+
+				callback();
+			})
+			.catch((err) => {
+				callback(err);
+			});
+	}
+
+	checkChain() {
+		let self = this;
+		let expected = self.config.chainId;
 
-			while (this.passengers.length < 5) {
-				this.passengers.push(accts[counter++]);
+		if (!expected) {
+			self.transactions.add(
+				"Network check",
+				SKIPPED,
+				`The "${self.network}" deployment has no chainId, the wallet's network is not checked.`
+			);
+			return Promise.resolve();
+		}
+
+		return self.web3.eth.getChainId().then((chainId) => {
+			if (Number(chainId) == Number(expected)) {
+				return;
 			}
 
-			console.log(this.airlines);
-			console.log(this.passengers);
-			callback();
+			return window.ethereum
+				.request({
+					method: "wallet_switchEthereumChain",
+					params: [{ chainId: self.web3.utils.toHex(expected) }],
+				})
+				.catch(() => {
+					throw new Error(
+						`The wallet is connected to chain ${chainId}, FlightSurety is deployed on chain ${expected}. Switch networks in the wallet and reload.`
+					);
+				});
 		});
 	}
 
+	setAccounts(accts) {
+		this.owner = accts[0] || null;
+		this.airlines = accts.slice();
+		this.passengers = accts.slice();
+	}
+
+	onAccountsChanged(listener) {
+		this.accountListeners.push(listener);
+	}
+
+	// Sends a contract method call as a transaction that shows up in the
+	// transaction panel, answers the web3 PromiEvent
+	send(label, method, options) {
+		return this.transactions.track(label, method.send(options));
+	}
+
 	isOperational(callback) {
 		let self = this;
 		self.flightSuretyApp.methods
@@ -48,17 +165,126 @@ export default class Contract {
 			.call({ from: self.owner }, callback);
 	}
 
+	// Whether the app is operational, and the last proposal to pause or
+	// resume it, null before the first vote
+	getOperatingStatus(callback) {
+		let self = this;
+		let methods = self.flightSuretyApp.methods;
+
+		Promise.all([
+			methods.isOperational().call(),
+			methods.getOperatingStatusProposalCount().call(),
+		])
+			.then(([isOperational, count]) =>
+				(Number(count) > 0
+					? methods.getOperatingStatusProposal(Number(count) - 1).call()
+					: Promise.resolve(null)
+				).then((proposal) => {
+					callback("", {
+						isOperational: isOperational,
+						proposal: proposal && {
+							id: Number(count) - 1,
+							mode: proposal.mode,
+							openedAt: Number(proposal.openedAt),
+							isOpen: proposal.isOpen,
+							voters: proposal.voters,
+						},
+					});
+				})
+			)
+			.catch((err) => {
+				callback(err, null);
+			});
+	}
+
+	// mode false votes to pause the contracts, true to resume them
+	voteOperatingStatus(from, mode, callback) {
+		let self = this;
+
+		self
+			.send(
+				`Vote to ${mode ? "resume" : "pause"} the contracts`,
+				self.flightSuretyApp.methods.voteOperatingStatus(mode),
+				{ from: from, gas: 450000 }
+			)
+			.then((value) => {
+				callback("", "success");
+			})
+			.catch((err) => {
+				callback(err, "failed");
+			});
+	}
+
+	getFlights(callback) {
+		let self = this;
+		let methods = self.flightSuretyApp.methods;
+
+		methods
+			.getFlightCount()
+			.call()
+			.then((count) =>
+				Promise.all(
+					Array.from({ length: Number(count) }, (_, index) =>
+						methods.getFlight(index).call()
+					)
+				)
+			)
+			.then((flights) => {
+				callback(
+					"",
+					flights.map((flight) => ({
+						airline: flight.airline,
+						flight: flight.flight,
+						timestamp: Number(flight.timestamp),
+						statusCode: Number(flight.statusCode),
+						updatedTimestamp: Number(flight.updatedTimestamp),
+					}))
+				);
+			})
+			.catch((err) => {
+				callback(err, []);
+			});
+	}
+
+	// Registers a flight of the airline signing as from, departing at
+	// timestamp (seconds)
+	registerFlight(from, flight, timestamp, callback) {
+		let self = this;
+
+		self
+			.send(
+				`Register flight ${flight}`,
+				self.flightSuretyApp.methods.registerFlight(flight, timestamp, from),
+				{ from: from }
+			)
+			.then((value) => {
+				callback("", { airline: from, flight: flight, timestamp: timestamp });
+			})
+			.catch((err) => {
+				callback(err, "failed");
+			});
+	}
+
+	// flight is an entry of getFlights(), its airline, flight and timestamp
+	// must match the insured flight for the status to be credited
 	fetchFlightStatus(flight, callback) {
 		let self = this;
 		let payload = {
-			airline: self.airlines[0],
-			flight: flight,
-			timestamp: Math.floor(Date.now() / 1000),
+			airline: flight.airline,
+			flight: flight.flight,
+			timestamp: flight.timestamp,
 			status: "",
 		};
-		self.flightSuretyApp.methods
-			.fetchFlightStatus(payload.airline, payload.flight, payload.timestamp)
-			.send({ from: self.owner })
+		self
+			.send(
+				`Request status of ${payload.flight}`,
+				self.flightSuretyApp.methods.fetchFlightStatus(
+					payload.airline,
+					payload.flight,
+					payload.timestamp
+				),
+				{ from: self.owner }
+			)
 			.then((value) => {
 				callback("", payload);
 			})
@@ -67,22 +293,89 @@ export default class Contract {
 			});
 	}
 
-	buyInsurance(flight, amount, callback) {
+	buyInsurance(from, flight, amount, callback) {
 		let self = this;
 
-		self.flightSuretyApp.methods
-			.buyInsurance(
-				self.airlines[0],
-				flight.flight,
-				new BigNumber(
-					Math.floor(new Date(flight.timestamp).getTime() / 1000).toString()
-				)
+		self
+			.send(
+				`Insure ${flight.flight} for ${amount} ETH`,
+				self.flightSuretyApp.methods.buyInsurance(
+					flight.airline,
+					flight.flight,
+					new BigNumber(flight.timestamp.toString())
+				),
+				{
+					from: from,
+					value: self.web3.utils.toWei(amount, "ether"),
+					gas: 450000,
+				}
 			)
-			.send({
-				from: self.passengers[0],
-				value: self.web3.utils.toWei(amount, "ether"),
-				gas: 450000,
+			.then((value) => {
+				callback("", "success");
+			})
+			.catch((err) => {
+				callback(err, "failed");
+			});
+	}
+
+	getAirlines(callback) {
+		let self = this;
+		let methods = self.flightSuretyApp.methods;
+		let details = (address) =>
+			methods
+				.getAirline(address)
+				.call()
+				.then((airline) => ({
+					address: address,
+					name: airline.name,
+					fundedValue: airline.fundedValue,
+					isApproved: airline.isApproved,
+					votes: Number(airline.votes),
+				}));
+
+		methods
+			.getAirlines()
+			.call()
+			.then((airlines) =>
+				Promise.all([
+					Promise.all(airlines.approved.map(details)),
+					Promise.all(airlines.waiting.map(details)),
+				])
+			)
+			.then(([approved, waiting]) => {
+				callback("", { approved: approved, waiting: waiting });
+			})
+			.catch((err) => {
+				callback(err, null);
+			});
+	}
+
+	registerAirline(from, airline, name, callback) {
+		let self = this;
+
+		self
+			.send(
+				`Register airline ${name}`,
+				self.flightSuretyApp.methods.registerAirline(airline, name),
+				{ from: from, gas: 450000 }
+			)
+			.then((value) => {
+				callback("", "success");
 			})
+			.catch((err) => {
+				callback(err, "failed");
+			});
+	}
+
+	voteAirline(from, airline, callback) {
+		let self = this;
+
+		self
+			.send(
+				`Vote for airline ${airline}`,
+				self.flightSuretyApp.methods.voteAirline(airline),
+				{ from: from, gas: 450000 }
+			)
 			.then((value) => {
 				callback("", "success");
 			})
@@ -90,4 +383,112 @@ export default class Contract {
 				callback(err, "failed");
 			});
 	}
+
+	fundAirline(from, amount, callback) {
+		let self = this;
+
+		self
+			.send(
+				`Fund airline with ${amount} ETH`,
+				self.flightSuretyApp.methods.fundAirline(),
+				{
+					from: from,
+					value: self.web3.utils.toWei(amount, "ether"),
+					gas: 450000,
+				}
+			)
+			.then((value) => {
+				callback("", "success");
+			})
+			.catch((err) => {
+				callback(err, "failed");
+			});
+	}
+
+	// Policies the passenger holds on the given flights from getFlights()
+	getPolicies(passenger, flights, callback) {
+		let self = this;
+
+		Promise.all(
+			flights.map((flight) =>
+				self.flightSuretyApp.methods
+					.getInsurance(
+						flight.airline,
+						flight.flight,
+						flight.timestamp,
+						passenger
+					)
+					.call()
+					.then((insurance) => ({
+						flight: flight,
+						value: insurance.value,
+						paidOut: insurance.paidOut,
+						terms: Number(insurance.terms),
+					}))
+			)
+		)
+			.then((policies) => {
+				callback(
+					"",
+					policies.filter((policy) => policy.value != "0")
+				);
+			})
+			.catch((err) => {
+				callback(err, []);
+			});
+	}
+
+	// Terms of new policies: the payout in percent of the premium per status
+	// code and the maximum coverage in wei
+	getPolicyTerms(callback) {
+		let self = this;
+		let methods = self.flightSuretyApp.methods;
+
+		methods
+			.getPolicyTermsCount()
+			.call()
+			.then((count) =>
+				methods
+					.getPolicyTerms(Number(count) - 1)
+					.call()
+					.then((terms) => {
+						let payouts = {};
+
+						terms.payoutPercents.forEach((percent, i) => {
+							payouts[i * 10] = Number(percent);
+						});
+						callback("", {
+							version: Number(count) - 1,
+							payouts: payouts,
+							maxCoverage: terms.maxCoverage,
+						});
+					})
+			)
+			.catch((err) => {
+				callback(err, null);
+			});
+	}
+
+	getPayout(passenger, callback) {
+		let self = this;
+
+		self.flightSuretyApp.methods.getPayout(passenger).call(callback);
+	}
+
+	// Answers with the withdrawn amount in wei, read from PayoutWithdrawn
+	withdrawPayout(from, callback) {
+		let self = this;
+
+		self
+			.send("Withdraw payout", self.flightSuretyApp.methods.withdrawPayout(), {
+				from: from,
+				gas: 450000,
+			})
+			.then((receipt) => {
+				callback("", receipt.events.PayoutWithdrawn.returnValues.value);
+			})
+			.catch((err) => {
+				callback(err, "failed");
+			});
+	}
 }
@@ -0,0 +1,92 @@
+import { revertReason } from "../shared/revert";
+
+// Revert strings of the FlightSurety contracts, worded for the people using
+// the dapp. Some data contract messages say the opposite of the check that
+// fails, the text here describes what actually went wrong.
+const REVERT_MESSAGES = {
+	"Contract is currently not operational":
+		"FlightSurety is paused, try again later.",
+	"Caller is not an approved airline":
+		"The selected account is not an approved, funded airline.",
+	"Caller is not a registered airline":
+		"The selected account is not a registered airline.",
+	"Caller is a registered airline": "This airline is already registered.",
+	"Caller has already voted for this airline":
+		"The selected airline has already voted for this airline.",
+	"This address has already voted":
+		"The selected airline has already voted for this airline.",
+	"Airline is not queueing for registratio":
+		"This airline is already waiting for registration.",
+	"Airline is already waiting for registration":
+		"This airline is not waiting for votes.",
+	"Airline was approved": "This airline is already approved.",
+	"Airline was not approved":
+		"Only approved, funded airlines can vote for other airlines.",
+	"Caller is already in queue or registered":
+		"Only registered airlines can be funded.",
+	"Did not send any funds.": "Enter an amount to fund.",
+	"Passager has no payout": "There is no credited payout to withdraw.",
+	"Insurance exceeds the maximum coverage":
+		"This exceeds the maximum coverage of the policy, earlier purchases included.",
+	"Exposure exceeds the backing capital":
+		"FlightSurety cannot back more insurance right now.",
+	"Maximum coverage is required": "Policy terms need a maximum coverage.",
+	"Unknown policy terms": "These policy terms do not exist.",
+	"Insurance premium is required": "Enter the amount to insure.",
+	"Flight has already departed": "This flight has already departed.",
+	"Not enought Eth sent": "Not enough ETH was sent.",
+	"Caller is not contract owner": "Only the contract owner can do this.",
+	"Contract is already in this operating status":
+		"The contracts are already in this operating status.",
+	"Airline has already voted on this proposal":
+		"This airline already voted on the open proposal.",
+	"App is not authorized by the data contract":
+		"This app has been replaced by an upgrade, reload the page.",
+	"Caller is not authorized":
+		"The app contract is not authorized on the data contract.",
+	"Caller is not an authorized contract":
+		"The app contract is not authorized on the data contract.",
+	"Index does not match oracle request":
+		"The oracle is not invited to this request.",
+	"Flight or timestamp do not match oracle request":
+		"There is no open status request for this flight.",
+	"Oracle request is already finalized":
+		"The oracles already agreed on this request.",
+	"Oracle request is already open":
+		"The oracles are still answering this request, try again later.",
+	"Flight status is already final":
+		"The oracles already reported the final status of this flight.",
+	"Airlines can only register their own flights":
+		"Airlines can only register flights for their own account.",
+	"Flight departs in the past": "Only future flights can be registered.",
+	"Flight is already registered":
+		"This flight is already registered for that departure.",
+	"Flight is not registered": "This flight is not registered.",
+	"Registration fee is required": "Oracles pay 1 ETH to register.",
+	"There is nothing to be refunded": "There is no credited payout to withdraw.",
+};
+
+export function describeError(error) {
+	// EIP-1193 code for a request the user rejected in the wallet
+	if (error && error.code == 4001) {
+		return "The transaction was rejected in the wallet.";
+	}
+
+	let reason = revertReason(error);
+
+	if (reason == "Panic") {
+		return "The contract stopped with an internal error.";
+	}
+
+	if (reason) {
+		return REVERT_MESSAGES[reason] || reason;
+	}
+
+	let message = (error && error.message) || String(error);
+
+	if (/out of gas/i.test(message)) {
+		return "The transaction ran out of gas.";
+	}
+
+	return message;
+}
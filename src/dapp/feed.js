@@ -0,0 +1,52 @@
+const CURSOR_KEY = "flightsurety.feed.cursor";
+
+/**
+ * Live contract events from the server's /api/events stream. The position
+ * of the last event seen is kept in localStorage for every filter, so events
+ * emitted while the page was closed are replayed on the next visit.
+ */
+export default class Feed {
+	constructor(serverUrl) {
+		this.serverUrl = serverUrl;
+		this.source = null;
+	}
+
+	subscribe(filter, callback) {
+		let params = new URLSearchParams();
+
+		Object.keys(filter).forEach((key) => {
+			if (filter[key]) {
+				params.set(key, filter[key]);
+			}
+		});
+
+		// A cursor only covers the events of the filter it was saved with
+		let cursorKey = `${CURSOR_KEY}:${params}`;
+		let cursor = window.localStorage.getItem(cursorKey);
+		if (cursor) {
+			params.set("cursor", cursor);
+		}
+
+		this.close();
+		this.source = new EventSource(`${this.serverUrl}/api/events?${params}`);
+
+		this.source.onmessage = (message) => {
+			window.localStorage.setItem(cursorKey, message.lastEventId);
+
+			let change = JSON.parse(message.data);
+			callback(null, change.record, change.type);
+		};
+
+		// EventSource reconnects by itself and resumes from the last event id
+		this.source.onerror = () => {
+			callback(new Error("Lost connection to the event stream"));
+		};
+	}
+
+	close() {
+		if (this.source) {
+			this.source.close();
+			this.source = null;
+		}
+	}
+}
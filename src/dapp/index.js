@@ -1,105 +1,214 @@
 import DOM from "./dom";
-import Contract from "./contract";
+import Contract, { MODE_INJECTED, MODE_NODE } from "./contract";
+import Feed from "./feed";
+import AirlineConsole from "./airlines";
+import PassengerDashboard from "./passenger";
+import { TransactionPanel } from "./transactions";
+import { networkFromUrl } from "../shared/deployment";
 import "./flightsurety.css";
 
 (async () => {
-	const FLIGHTS = [
-		{ flight: "UL 301", timestamp: new Date(2023, 2, 1) },
-		{ flight: "UL 302", timestamp: new Date(2023, 3, 4) },
-		{ flight: "UL 303", timestamp: new Date(2023, 4, 2) },
-		{ flight: "SQ 22", timestamp: new Date(2023, 4, 11) },
-		{ flight: "SQ 32", timestamp: new Date(2023, 6, 5) },
-		{ flight: "SQ 34", timestamp: new Date(2023, 7, 22) },
-		{ flight: "SQ 468", timestamp: new Date(2023, 5, 12) },
-	];
-
-	let contract = new Contract("localhost", () => {
-		// Read transaction
-		contract.isOperational((error, result) => {
-			console.log(error, result);
-			display("Operational Status", "Check if contract is operational", [
-				{ label: "Operational Status", error: error, value: result },
-			]);
-		});
+	// A browser wallet is used when there is one, ?mode=node falls back to the
+	// unlocked accounts of the local node
+	let mode =
+		new URLSearchParams(window.location.search).get("mode") ||
+		(window.ethereum ? MODE_INJECTED : MODE_NODE);
+
+	let contract = new Contract(
+		networkFromUrl(window.location),
+		(error) => {
+			if (error) {
+				display("Wallet", "Could not connect", [
+					{ label: "Error", error: error, value: "" },
+				]);
+				return;
+			}
+
+			start(contract);
+		},
+		mode
+	);
+})();
+
+function start(contract) {
+	new TransactionPanel(contract.transactions).initialize();
 
-		for (let a = 0; a < FLIGHTS.length; a++) {
-			addFlightToDropdown(FLIGHTS[a]);
+	display("Wallet", "Account used for transactions", [
+		{ label: "Mode", error: null, value: contract.mode },
+		{ label: "Account", error: null, value: contract.owner },
+	]);
+
+	// Read transaction
+	contract.isOperational((error, result) => {
+		if (error) {
+			contract.transactions.fail("Read operational status", error);
 		}
+		display("Operational Status", "Check if contract is operational", [
+			{ label: "Operational Status", error: error, value: result },
+		]);
+	});
+
+	loadFlights(contract);
+
+	let airlineConsole = new AirlineConsole(contract);
+	airlineConsole.initialize();
+
+	let passengerDashboard = new PassengerDashboard(contract);
+	passengerDashboard.initialize();
+
+	contract.onAccountsChanged((accounts) => {
+		display("Wallet", "Account changed", [
+			{ label: "Account", error: null, value: accounts[0] || "none" },
+		]);
+		airlineConsole.renderAccounts();
+		passengerDashboard.renderAccounts();
+		passengerDashboard.refresh();
+	});
+
+	let feed = new Feed(contract.serverUrl);
+	let feedLost = false;
 
-		contract.flightSuretyApp.events.FlightStatusInfo(
-			{
-				fromBlock: "latest",
-			},
-			function (error, result) {
-				if (error) {
-					console.log(error);
-				} else {
-					display("Flight Status Info Event", "Flight Status Available", [
-						{
-							label: "Flight Status",
-							error: error,
-							value: `flight:  ${result.returnValues.flight}, status: ${
-								result.returnValues.status == 10 ? "ON TIME" : "DELAYED"
-							}`,
-						},
-					]);
+	feed.subscribe(
+		{
+			events:
+				"FlightStatusInfo,InsurancePurchased,PayoutWithdrawn,AirlineApproved,FlightRegistered,OperatingStatusVoted,OperatingStatusChanged",
+		},
+		(error, record, type) => {
+			// EventSource retries every few seconds, an outage is listed once
+			if (error) {
+				if (!feedLost) {
+					contract.transactions.fail("Event feed", error);
 				}
+				feedLost = true;
+				return;
 			}
-		);
+			feedLost = false;
 
-		contract.flightSuretyApp.events.InsurancePurchased(
-			{
-				fromBlock: "latest",
-			},
-			function (error, result) {
-				if (error) {
-					console.log(error);
-				} else {
-					display("Insurance Purchased Event", "", [
-						{
-							label: "Insurance:",
-							error: error,
-							value: `Passenger: ${result.returnValues.paxAddress} ,Flight: ${result.returnValues.flight}, Amount: ${result.returnValues.amount} ETH`,
-						},
-					]);
-				}
+			if (record.event == "AirlineApproved") {
+				airlineConsole.refresh();
+				return;
 			}
-		);
+			if (record.event == "FlightRegistered") {
+				loadFlights(contract);
+				return;
+			}
+			if (record.event == "OperatingStatusVoted") {
+				airlineConsole.refresh();
+				return;
+			}
+			if (record.event == "OperatingStatusChanged") {
+				airlineConsole.refresh();
+				display("Operational Status", "Changed by the airlines' votes", [
+					{
+						label: "Operational Status",
+						error: null,
+						value: record.values.mode,
+					},
+				]);
+				return;
+			}
+
+			passengerDashboard.refresh();
 
-		// User-submitted transaction
-		DOM.elid("submit-oracle").addEventListener("click", () => {
-			let flight = DOM.elid("flight-number").value;
-			contract.fetchFlightStatus(flight, (error, result) => {
-				display("Oracles", "Trigger oracles", [
+			if (type == "removed") {
+				display("Event Reverted", "Dropped by a chain reorganisation", [
+					{
+						label: record.event,
+						error: null,
+						value: `flight: ${record.flight}, block: ${record.blockNumber}`,
+					},
+				]);
+			} else if (record.event == "FlightStatusInfo") {
+				display("Flight Status Info Event", "Flight Status Available", [
+					{
+						label: "Flight Status",
+						error: error,
+						value: `flight:  ${record.flight}, status: ${
+							record.values.status == 10 ? "ON TIME" : "DELAYED"
+						}`,
+					},
+				]);
+			} else if (record.event == "InsurancePurchased") {
+				display("Insurance Purchased Event", "", [
 					{
-						label: "Fetch Flight Status",
+						label: "Insurance:",
 						error: error,
-						value: result.flight + " " + result.timestamp,
+						value: `Passenger: ${record.passenger} ,Flight: ${record.flight}, Amount: ${record.values.amount} ETH`,
 					},
 				]);
-			});
+			}
+		}
+	);
+
+	// User-submitted transaction
+	DOM.elid("submit-oracle").addEventListener("click", () => {
+		let sel = DOM.elid("status-flight");
+		let flight = sel.options[sel.selectedIndex].value;
+
+		if (!flight) {
+			return;
+		}
+
+		contract.fetchFlightStatus(JSON.parse(flight), (error, result) => {
+			display("Oracles", "Trigger oracles", [
+				{
+					label: "Fetch Flight Status",
+					error: error,
+					value: result.flight + " " + result.timestamp,
+				},
+			]);
 		});
+	});
 
-		DOM.elid("buyInsurance").addEventListener("click", () => {
-			let sel = document.getElementById("select-flight");
-			let flight = sel.options[sel.selectedIndex].value;
-			let amount = DOM.elid("amount").value;
-
-			DOM.elid("amount").value = "";
-			flight = JSON.parse(flight);
-
-			contract.buyInsurance(flight, amount, (error, result) => {
-				console.log(error, result, amount);
-				if (error || result != "success") {
-					alert("Insurance purchase failed, have you entered ETH > 0 and <= 1");
-				} else {
-					// use event to see this
-					//display('Buy Insurance', 'Insurance purchased by the passenger', [ { label: 'Insurance', error: error, value: `Flight: ${flight.flight}, Amount: ${amount} ETH`} ]);
-				}
-			});
+	DOM.elid("buyInsurance").addEventListener("click", () => {
+		let sel = document.getElementById("select-flight");
+		let flight = sel.options[sel.selectedIndex].value;
+		let amount = DOM.elid("amount").value;
+
+		if (!flight) {
+			return;
+		}
+
+		DOM.elid("amount").value = "";
+		flight = JSON.parse(flight);
+
+		let passenger = passengerDashboard.account();
+
+		// The transaction panel shows how the purchase went
+		contract.buyInsurance(passenger, flight, amount, () => {
+			passengerDashboard.refresh();
 		});
 	});
-})();
+}
+
+// Fills the flight dropdowns from the catalog, keeping the selections
+function loadFlights(contract) {
+	contract.getFlights((error, flights) => {
+		if (error) {
+			display("Flights", "Could not load the flight catalog", [
+				{ label: "Flights", error: error, value: "" },
+			]);
+			return;
+		}
+
+		let now = Math.floor(Date.now() / 1000);
+		let selected = {};
+
+		["status-flight", "select-flight"].forEach((id) => {
+			selected[id] = DOM.elid(id).value;
+			DOM.elid(id).innerHTML = "";
+		});
+
+		for (let a = 0; a < flights.length; a++) {
+			addFlightToDropdown("status-flight", flights[a], selected);
+
+			// Only flights that have not departed can be insured
+			if (flights[a].timestamp > now) {
+				addFlightToDropdown("select-flight", flights[a], selected);
+			}
+		}
+	});
+}
 
 function display(title, description, results) {
 	let displayDiv = DOM.elid("display-wrapper");
@@ -120,13 +229,20 @@ function display(title, description, results) {
 	displayDiv.append(section);
 }
 
-function addFlightToDropdown(flight) {
+function addFlightToDropdown(id, flight, selected) {
 	let option = document.createElement("option");
+	// Without the status, which changes once the oracles agree
+	let value = JSON.stringify({
+		airline: flight.airline,
+		flight: flight.flight,
+		timestamp: flight.timestamp,
+	});
 
 	option.text = `Flight ${flight.flight} departing ${new Date(
-		flight.timestamp
+		flight.timestamp * 1000
 	)}`;
-	option.value = JSON.stringify(flight);
+	option.value = value;
+	option.selected = selected[id] == value;
 
-	DOM.elid("select-flight").add(option);
+	DOM.elid(id).add(option);
 }
@@ -0,0 +1,166 @@
+import DOM from "./dom";
+import { describeError } from "./errors";
+
+const STATUS_LABELS = {
+	0: "Unknown",
+	10: "On time",
+	20: "Late (airline)",
+	30: "Late (weather)",
+	40: "Late (technical)",
+	50: "Late (other)",
+};
+
+/**
+ * Passenger section of the dapp: the terms of new policies, the policies
+ * held by one of the passenger accounts with their flight status, the
+ * credited payout and its withdrawal
+ */
+export default class PassengerDashboard {
+	constructor(contract) {
+		this.contract = contract;
+	}
+
+	initialize() {
+		let self = this;
+		let accounts = DOM.elid("passenger-account");
+
+		self.renderAccounts();
+		accounts.addEventListener("change", () => self.refresh());
+
+		DOM.elid("withdraw-payout").addEventListener("click", () => {
+			self.contract.withdrawPayout(self.account(), (error, amount) => {
+				if (error) {
+					self.feedback(describeError(error), true);
+				} else {
+					self.feedback(
+						`Withdrew ${self.contract.web3.utils.fromWei(
+							amount,
+							"ether"
+						)} ETH.`,
+						false
+					);
+				}
+				self.refresh();
+			});
+		});
+
+		self.refresh();
+	}
+
+	renderAccounts() {
+		let accounts = DOM.elid("passenger-account");
+		let selected = accounts.value;
+
+		accounts.innerHTML = "";
+		this.contract.passengers.forEach((address) => {
+			let option = document.createElement("option");
+			option.text = address;
+			option.value = address;
+			option.selected = address == selected;
+			accounts.add(option);
+		});
+	}
+
+	account() {
+		return DOM.elid("passenger-account").value;
+	}
+
+	feedback(message, isError) {
+		let element = DOM.elid("passenger-feedback");
+
+		element.className = isError ? "top-20 feedback-error" : "top-20 feedback";
+		element.textContent = message;
+	}
+
+	renderTerms(terms) {
+		let fromWei = (value) => this.contract.web3.utils.fromWei(value, "ether");
+		let payouts = Object.keys(terms.payouts)
+			.filter((code) => terms.payouts[code] > 0)
+			.map(
+				(code) => `${STATUS_LABELS[code] || code} ${terms.payouts[code] / 100}x`
+			);
+
+		DOM.elid("policy-terms").textContent = `Policy terms v${
+			terms.version
+		}: up to ${fromWei(terms.maxCoverage)} ETH per flight, pays ${
+			payouts.join(", ") || "nothing"
+		} of the premium`;
+	}
+
+	refresh() {
+		let self = this;
+		let passenger = self.account();
+		let fromWei = (value) => self.contract.web3.utils.fromWei(value, "ether");
+
+		self.contract.getPolicyTerms((error, terms) => {
+			if (error) {
+				self.feedback(describeError(error), true);
+				return;
+			}
+			self.renderTerms(terms);
+		});
+
+		self.contract.getPayout(passenger, (error, payout) => {
+			if (error) {
+				self.feedback(describeError(error), true);
+				return;
+			}
+			DOM.elid("passenger-payout").textContent = `${fromWei(payout)} ETH`;
+			DOM.elid("withdraw-payout").style.display = payout == "0" ? "none" : "";
+		});
+
+		self.contract.getFlights((error, flights) => {
+			if (error) {
+				self.feedback(describeError(error), true);
+				return;
+			}
+
+			self.contract.getPolicies(passenger, flights, (error, policies) => {
+				if (error) {
+					self.feedback(describeError(error), true);
+					return;
+				}
+
+				let list = DOM.elid("passenger-policies");
+				list.innerHTML = "";
+
+				if (policies.length == 0) {
+					list.appendChild(DOM.p("No policies yet."));
+				}
+
+				policies.forEach((policy) => {
+					let row = DOM.div({ className: "row" });
+
+					row.appendChild(
+						DOM.div(
+							{ className: "col-sm-4 field" },
+							`${policy.flight.flight} ${new Date(
+								policy.flight.timestamp * 1000
+							).toLocaleString()}`
+						)
+					);
+					row.appendChild(
+						DOM.div(
+							{ className: "col-sm-2 field-value" },
+							`${fromWei(policy.value)} ETH, terms v${policy.terms}`
+						)
+					);
+					row.appendChild(
+						DOM.div(
+							{ className: "col-sm-3" },
+							STATUS_LABELS[policy.flight.statusCode] ||
+								String(policy.flight.statusCode)
+						)
+					);
+					row.appendChild(
+						DOM.div(
+							{ className: "col-sm-3" },
+							policy.paidOut ? "Paid out" : "Not paid out"
+						)
+					);
+					list.appendChild(row);
+				});
+			});
+		});
+	}
+}
@@ -0,0 +1,146 @@
+import DOM from "./dom";
+import { describeError } from "./errors";
+
+export const SENDING = "sending";
+export const PENDING = "pending";
+export const MINED = "mined";
+export const CONFIRMED = "confirmed";
+export const REVERTED = "reverted";
+export const FAILED = "failed";
+// Checks that did not run, listed with the reason
+export const SKIPPED = "skipped";
+
+// Blocks mined on top of a transaction before it counts as confirmed
+const CONFIRMATIONS = 2;
+
+// Most recent transactions kept for the panel
+const HISTORY = 20;
+
+/**
+ * Follows the transactions sent from Contract through their lifecycle:
+ * sending (waiting for the wallet), pending, mined, confirmed, or reverted
+ * with a message for the user. Transactions that never reached the chain,
+ * like ones rejected in the wallet, end as failed.
+ */
+export default class TransactionTracker {
+	constructor() {
+		this.transactions = [];
+		this.listeners = [];
+		this.nextId = 1;
+	}
+
+	add(label, state, message) {
+		let transaction = {
+			id: this.nextId++,
+			label: label,
+			state: state,
+			hash: null,
+			blockNumber: null,
+			message: message,
+		};
+
+		this.transactions.unshift(transaction);
+		this.transactions.splice(HISTORY);
+		this.update(transaction);
+
+		return transaction;
+	}
+
+	track(label, promiEvent) {
+		let self = this;
+		let transaction = self.add(label, SENDING, "");
+
+		promiEvent
+			.on("transactionHash", (hash) => {
+				transaction.hash = hash;
+				transaction.state = PENDING;
+				self.update(transaction);
+			})
+			.on("receipt", (receipt) => {
+				transaction.blockNumber = receipt.blockNumber;
+				transaction.state = MINED;
+				self.update(transaction);
+			})
+			.on("confirmation", (confirmations) => {
+				if (confirmations >= CONFIRMATIONS && transaction.state == MINED) {
+					transaction.state = CONFIRMED;
+					self.update(transaction);
+				}
+			})
+			.on("error", (error, receipt) => {
+				transaction.state = receipt || transaction.hash ? REVERTED : FAILED;
+				transaction.message = describeError(error);
+				self.update(transaction);
+			});
+
+		return promiEvent;
+	}
+
+	// Errors of reads and of the event stream are listed as failed entries,
+	// next to the transactions
+	fail(label, error) {
+		return this.add(label, FAILED, describeError(error));
+	}
+
+	update(transaction) {
+		this.listeners.forEach((listener) =>
+			listener(transaction, this.transactions)
+		);
+	}
+
+	onChange(listener) {
+		this.listeners.push(listener);
+	}
+}
+
+/**
+ * Renders the tracked transactions into the #transactions-panel element
+ */
+export class TransactionPanel {
+	constructor(tracker) {
+		this.tracker = tracker;
+	}
+
+	initialize() {
+		this.tracker.onChange((transaction, transactions) =>
+			this.render(transactions)
+		);
+		this.render(this.tracker.transactions);
+	}
+
+	render(transactions) {
+		let panel = DOM.elid("transactions-panel");
+
+		panel.innerHTML = "";
+
+		if (transactions.length == 0) {
+			panel.appendChild(DOM.p("No transactions yet."));
+			return;
+		}
+
+		transactions.forEach((transaction) => {
+			let row = DOM.div({ className: "row" });
+			let detail = transaction.message;
+
+			if (!detail && transaction.hash) {
+				detail = transaction.blockNumber
+					? `${transaction.hash.slice(0, 10)}… in block ${
+							transaction.blockNumber
+					  }`
+					: `${transaction.hash.slice(0, 10)}…`;
+			}
+
+			row.appendChild(
+				DOM.div({ className: "col-sm-4 field" }, transaction.label)
+			);
+			row.appendChild(
+				DOM.div(
+					{ className: `col-sm-2 transaction-${transaction.state}` },
+					transaction.state
+				)
+			);
+			row.appendChild(DOM.div({ className: "col-sm-6" }, detail || ""));
+			panel.appendChild(row);
+		});
+	}
+}
@@ -0,0 +1,713 @@
+import FlightSuretyApp from "../../build/contracts/FlightSuretyApp.json";
+import FlightSuretyData from "../../build/contracts/FlightSuretyData.json";
+import Deployments from "../shared/deployments.json";
+import Web3 from "web3";
+import { table } from "./format";
+import { revertReason } from "../shared/revert";
+import {
+	loadDeployment,
+	networkFromEnv,
+	verifyDeployment,
+} from "../shared/deployment";
+
+// Head room on top of the gas estimate
+const GAS_MARGIN = 1.2;
+
+// Stake an airline funds by default, in ether
+const AIRLINE_FUND = "10";
+
+const USAGE = `Usage: npm run admin -- <command> [arguments] [options]
+
+Runs one FlightSurety operation against the contracts of the deployment in
+src/shared/deployments.json and prints the result. Amounts are in wei unless
+a command says ether, timestamps in seconds.
+
+Read commands:
+  airlines                                  approved and waiting airlines
+  airline <address>                         one airline
+  flights [--airline <address>]             the flight catalog
+  flight <airline> <flight> <timestamp>     status of a registered flight
+  policies <passenger>                      policies of a passenger
+  payout <passenger>                        credited payout of a passenger
+  policy-terms                              every version of the policy terms
+  status                                    operating status and last proposal
+  solvency                                  capital, premiums and exposure
+  oracle-request <id>                       flight and state of an oracle
+                                            request, <id> is the
+                                            <transactionHash>:<logIndex> the
+                                            server's API lists it under
+
+Transactions, sent from --from:
+  register-airline <address> <name>         register an airline
+  vote-airline <address>                    vote for a waiting airline
+  fund-airline [ether]                      fund the airline's stake (${AIRLINE_FUND})
+  register-flight <flight> <departure>      register a flight of the airline,
+                                            departure in seconds or as a date
+  fetch-status <airline> <flight> <timestamp>
+                                            ask the oracles for a flight status
+  retrigger-request <id>                    ask again about the flight of an
+                                            oracle request without consensus,
+                                            closing it first if it is open
+  close-request <id>                        close a timed-out oracle request,
+                                            slashing the oracles that missed it
+  vote-status <pause|resume>                vote on the operating status
+  set-policy-terms <percents> <ether>       terms for new policies, percents
+                                            for status codes 0 to 50, such as
+                                            0,0,150,0,0,0 (contract owner)
+  buy-insurance <airline> <flight> <timestamp> <ether>
+                                            insure a flight
+  withdraw-payout                           withdraw the credited payout
+
+Options:
+  --from <account>      address or position of an unlocked account of the
+                        node (0)
+  --network <name>      Truffle network of the deployment (FLIGHTSURETY_NETWORK
+                        or development)
+  --json                print JSON, for scripts
+  --help                this help`;
+
+// Flags without a value
+const SWITCHES = ["json", "help"];
+
+class UsageError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "UsageError";
+	}
+}
+
+function parseArgs(argv) {
+	const args = { positional: [] };
+
+	for (let i = 0; i < argv.length; i++) {
+		const name = argv[i].startsWith("--") ? argv[i].slice(2) : null;
+
+		if (name === null) {
+			args.positional.push(argv[i]);
+		} else if (SWITCHES.includes(name)) {
+			args[name] = true;
+		} else if (i + 1 < argv.length) {
+			args[name] = argv[++i];
+		} else {
+			throw new UsageError(`--${name} needs a value`);
+		}
+	}
+
+	return args;
+}
+
+function requireAddress(web3, value, name) {
+	if (!web3.utils.isAddress(value)) {
+		throw new UsageError(`${name} is not an address: ${value}`);
+	}
+	return web3.utils.toChecksumAddress(value);
+}
+
+function requireTimestamp(value, name) {
+	if (!/^\d+$/.test(value || "")) {
+		throw new UsageError(`${name} must be in seconds: ${value}`);
+	}
+	return value;
+}
+
+function requireEther(web3, value, name) {
+	if (!(Number(value) > 0)) {
+		throw new UsageError(`${name} must be an amount of ether: ${value}`);
+	}
+	return web3.utils.toWei(String(value), "ether");
+}
+
+// Seconds, or anything Date understands such as 2024-05-01T10:30
+function parseDeparture(value) {
+	if (/^\d+$/.test(value || "")) {
+		return value;
+	}
+
+	const time = new Date(value).getTime();
+
+	if (isNaN(time)) {
+		throw new UsageError(`departure is neither seconds nor a date: ${value}`);
+	}
+	return String(Math.floor(time / 1000));
+}
+
+// web3 repeats every value under its position, only names are kept
+function named(values) {
+	const result = {};
+
+	Object.keys(values || {})
+		.filter((key) => isNaN(key))
+		.forEach((key) => {
+			result[key] = Array.isArray(values[key])
+				? values[key].map(String)
+				: values[key];
+		});
+
+	return result;
+}
+
+async function getFlights(app) {
+	const count = Number(await app.methods.getFlightCount().call());
+	const flights = await Promise.all(
+		Array.from({ length: count }, (_, index) =>
+			app.methods.getFlight(index).call()
+		)
+	);
+
+	return flights.map((flight) => ({
+		airline: flight.airline,
+		flight: flight.flight,
+		timestamp: flight.timestamp,
+		statusCode: Number(flight.statusCode),
+		updatedTimestamp: flight.updatedTimestamp,
+	}));
+}
+
+// The oracle request the server's request tracker knows by the
+// <transactionHash>:<logIndex> of its OracleRequest event, with its state
+// in the contract
+async function getOracleRequest({ web3, app }, id) {
+	const [hash, logIndex] = String(id).split(":");
+
+	if (!/^0x[0-9a-fA-F]{64}$/.test(hash) || !/^\d+$/.test(logIndex || "")) {
+		throw new UsageError(`id is not <transactionHash>:<logIndex>: ${id}`);
+	}
+
+	const event = app.options.jsonInterface.find(
+		(entry) => entry.type === "event" && entry.name === "OracleRequest"
+	);
+	const receipt = await web3.eth.getTransactionReceipt(hash);
+	const log = (receipt ? receipt.logs : []).find(
+		(entry) =>
+			entry.logIndex === Number(logIndex) &&
+			entry.address.toLowerCase() === app.options.address.toLowerCase() &&
+			entry.topics[0] === event.signature
+	);
+
+	if (!log) {
+		throw new Error(`No oracle request ${id}`);
+	}
+
+	const values = web3.eth.abi.decodeLog(
+		event.inputs,
+		log.data,
+		log.topics.slice(1)
+	);
+	const state = await app.methods
+		.getOracleRequest(
+			values.index,
+			values.airline,
+			values.flight,
+			values.timestamp
+		)
+		.call();
+
+	return {
+		id: id,
+		index: Number(values.index),
+		airline: values.airline,
+		flight: values.flight,
+		timestamp: values.timestamp,
+		isOpen: state.isOpen,
+		isFinalized: state.isFinalized,
+	};
+}
+
+function closeRequest({ app, send }, request) {
+	return send(
+		app.methods.closeOracleRequest(
+			request.index,
+			request.airline,
+			request.flight,
+			request.timestamp
+		)
+	);
+}
+
+/**
+ * Each command lists its arguments and answers a plain object, or a list
+ * of them, for the output. Transactions are sent with ctx.send().
+ */
+const COMMANDS = {
+	airlines: {
+		args: [],
+		async run(ctx) {
+			const { approved, waiting } = await ctx.app.methods.getAirlines().call();
+
+			return Promise.all(
+				approved
+					.concat(waiting)
+					.map((address) => COMMANDS.airline.run(ctx, [address]))
+			);
+		},
+	},
+	airline: {
+		args: ["address"],
+		async run({ web3, app, data }, [address]) {
+			address = requireAddress(web3, address, "address");
+			const airline = await app.methods.getAirline(address).call();
+
+			return {
+				address: address,
+				name: airline.name,
+				isApproved: airline.isApproved,
+				fundedValue: airline.fundedValue,
+				votes: Number(airline.votes),
+				// Approved and funded, able to vote and register flights
+				isParticipating: await data.methods.isApprovedAirline(address).call(),
+			};
+		},
+	},
+	flights: {
+		args: [],
+		async run({ web3, app, options }) {
+			const airline =
+				options.airline && requireAddress(web3, options.airline, "--airline");
+			const flights = await getFlights(app);
+
+			return flights.filter((flight) => !airline || flight.airline === airline);
+		},
+	},
+	flight: {
+		args: ["airline", "flight", "timestamp"],
+		async run({ web3, app }, [airline, flight, timestamp]) {
+			airline = requireAddress(web3, airline, "airline");
+			requireTimestamp(timestamp, "timestamp");
+			const status = await app.methods
+				.getFlightStatus(airline, flight, timestamp)
+				.call();
+
+			if (!status.isRegistered) {
+				throw new Error(`Flight ${flight} is not registered`);
+			}
+
+			return {
+				airline: airline,
+				flight: flight,
+				timestamp: timestamp,
+				statusCode: Number(status.statusCode),
+				updatedTimestamp: status.updatedTimestamp,
+			};
+		},
+	},
+	policies: {
+		args: ["passenger"],
+		async run({ web3, app }, [passenger]) {
+			passenger = requireAddress(web3, passenger, "passenger");
+			const flights = await getFlights(app);
+			const policies = await Promise.all(
+				flights.map(async (flight) => {
+					const insurance = await app.methods
+						.getInsurance(
+							flight.airline,
+							flight.flight,
+							flight.timestamp,
+							passenger
+						)
+						.call();
+
+					return {
+						airline: flight.airline,
+						flight: flight.flight,
+						timestamp: flight.timestamp,
+						statusCode: flight.statusCode,
+						value: insurance.value,
+						paidOut: insurance.paidOut,
+						terms: Number(insurance.terms),
+					};
+				})
+			);
+
+			return policies.filter((policy) => policy.value !== "0");
+		},
+	},
+	payout: {
+		args: ["passenger"],
+		async run({ web3, app }, [passenger]) {
+			passenger = requireAddress(web3, passenger, "passenger");
+
+			return {
+				passenger: passenger,
+				payout: await app.methods.getPayout(passenger).call(),
+			};
+		},
+	},
+	"policy-terms": {
+		args: [],
+		async run({ app }) {
+			const count = Number(await app.methods.getPolicyTermsCount().call());
+			const versions = await Promise.all(
+				Array.from({ length: count }, (_, version) =>
+					app.methods.getPolicyTerms(version).call()
+				)
+			);
+
+			return versions.map((terms, version) => ({
+				version: version,
+				payoutPercents: terms.payoutPercents.map(Number).join(","),
+				maxCoverage: terms.maxCoverage,
+			}));
+		},
+	},
+	status: {
+		args: [],
+		async run({ app }) {
+			const count = Number(
+				await app.methods.getOperatingStatusProposalCount().call()
+			);
+			const status = {
+				isOperational: await app.methods.isOperational().call(),
+				proposal: null,
+			};
+
+			if (count > 0) {
+				const proposal = await app.methods
+					.getOperatingStatusProposal(count - 1)
+					.call();
+
+				status.proposal = {
+					id: count - 1,
+					mode: proposal.mode ? "resume" : "pause",
+					openedAt: proposal.openedAt,
+					isDecided: proposal.isDecided,
+					isOpen: proposal.isOpen,
+					voters: proposal.voters,
+				};
+			}
+
+			return status;
+		},
+	},
+	solvency: {
+		args: [],
+		async run({ web3, data }) {
+			const report = await data.methods.getSolvency().call();
+
+			return {
+				balance: await web3.eth.getBalance(data.options.address),
+				airlineCapital: report.capital,
+				premiums: report.premiums,
+				creditedPayouts: report.credited,
+				withdrawnPayouts: report.withdrawn,
+				exposure: report.exposure,
+				backingCapital: report.backing,
+			};
+		},
+	},
+	"oracle-request": {
+		args: ["id"],
+		run: (ctx, [id]) => getOracleRequest(ctx, id),
+	},
+	"register-airline": {
+		args: ["address", "name"],
+		run: ({ web3, app, send }, [address, name]) =>
+			send(
+				app.methods.registerAirline(
+					requireAddress(web3, address, "address"),
+					name
+				)
+			),
+	},
+	"vote-airline": {
+		args: ["address"],
+		run: ({ web3, app, send }, [address]) =>
+			send(app.methods.voteAirline(requireAddress(web3, address, "address"))),
+	},
+	"fund-airline": {
+		args: [],
+		optional: ["ether"],
+		run: ({ web3, app, send }, [ether]) =>
+			send(app.methods.fundAirline(), {
+				value: requireEther(web3, ether || AIRLINE_FUND, "ether"),
+			}),
+	},
+	"register-flight": {
+		args: ["flight", "departure"],
+		run: ({ app, from, send }, [flight, departure]) =>
+			send(app.methods.registerFlight(flight, parseDeparture(departure), from)),
+	},
+	"fetch-status": {
+		args: ["airline", "flight", "timestamp"],
+		run: ({ web3, app, send }, [airline, flight, timestamp]) =>
+			send(
+				app.methods.fetchFlightStatus(
+					requireAddress(web3, airline, "airline"),
+					flight,
+					requireTimestamp(timestamp, "timestamp")
+				)
+			),
+	},
+	"retrigger-request": {
+		args: ["id"],
+		async run(ctx, [id]) {
+			const request = await getOracleRequest(ctx, id);
+
+			if (request.isFinalized) {
+				throw new Error(`Oracle request ${id} already reached consensus`);
+			}
+
+			// The contract picks a random index for the flight again, which
+			// can be the one of this request. It rejects reopening a request
+			// that is still open, so the request is closed first, which the
+			// contract only allows once its oracles had their time to answer.
+			const closed = request.isOpen ? await closeRequest(ctx, request) : null;
+			let result;
+
+			try {
+				result = await ctx.send(
+					ctx.app.methods.fetchFlightStatus(
+						request.airline,
+						request.flight,
+						request.timestamp
+					)
+				);
+			} catch (error) {
+				if (error.message === "Oracle request is already open") {
+					throw new Error(
+						"Another oracle request of the flight is open under the index the contract picked, close it first"
+					);
+				}
+				throw error;
+			}
+
+			return closed
+				? { ...result, events: closed.events.concat(result.events) }
+				: result;
+		},
+	},
+	"close-request": {
+		args: ["id"],
+		async run(ctx, [id]) {
+			return closeRequest(ctx, await getOracleRequest(ctx, id));
+		},
+	},
+	"vote-status": {
+		args: ["pause|resume"],
+		run({ app, send }, [mode]) {
+			if (mode !== "pause" && mode !== "resume") {
+				throw new UsageError(`Vote to pause or resume, not ${mode}`);
+			}
+			return send(app.methods.voteOperatingStatus(mode === "resume"));
+		},
+	},
+	"set-policy-terms": {
+		args: ["percents", "ether"],
+		run({ web3, app, send }, [percents, ether]) {
+			const payouts = percents.split(",").map((percent) => percent.trim());
+
+			if (payouts.length !== 6 || payouts.some((p) => !/^\d+$/.test(p))) {
+				throw new UsageError(
+					"percents lists 6 whole payout percents, for the status codes 0 to 50"
+				);
+			}
+			return send(
+				app.methods.setPolicyTerms(
+					payouts.map(Number),
+					requireEther(web3, ether, "ether")
+				)
+			);
+		},
+	},
+	"buy-insurance": {
+		args: ["airline", "flight", "timestamp", "ether"],
+		run: ({ web3, app, send }, [airline, flight, timestamp, ether]) =>
+			send(
+				app.methods.buyInsurance(
+					requireAddress(web3, airline, "airline"),
+					flight,
+					requireTimestamp(timestamp, "timestamp")
+				),
+				{ value: requireEther(web3, ether, "ether") }
+			),
+	},
+	"withdraw-payout": {
+		args: [],
+		run: ({ app, send }) => send(app.methods.withdrawPayout()),
+	},
+};
+
+// The unlocked account of the node given as an address or a position
+async function resolveAccount(web3, value) {
+	const accounts = await web3.eth.getAccounts();
+
+	if (/^\d+$/.test(value)) {
+		if (!accounts[Number(value)]) {
+			throw new UsageError(
+				`The node has ${accounts.length} accounts, there is no account ${value}`
+			);
+		}
+		return accounts[Number(value)];
+	}
+
+	const account = accounts.find(
+		(known) =>
+			web3.utils.isAddress(value) && known.toLowerCase() === value.toLowerCase()
+	);
+
+	if (!account) {
+		throw new UsageError(`${value} is not an unlocked account of the node`);
+	}
+	return account;
+}
+
+async function run(args) {
+	const [name, ...params] = args.positional;
+	const command = COMMANDS[name];
+
+	if (!command) {
+		throw new UsageError(
+			name ? `Unknown command ${name}` : "Which command should run?"
+		);
+	}
+
+	const optional = command.optional || [];
+
+	if (
+		params.length < command.args.length ||
+		params.length > command.args.length + optional.length
+	) {
+		throw new UsageError(
+			`Usage: ${name} ${command.args
+				.map((arg) => `<${arg}>`)
+				.concat(optional.map((arg) => `[${arg}]`))
+				.join(" ")}`
+		);
+	}
+
+	const config = loadDeployment(
+		Deployments,
+		args.network || networkFromEnv(process.env),
+		[FlightSuretyApp, FlightSuretyData]
+	);
+	const web3 = new Web3(config.url);
+	await verifyDeployment(web3, config);
+
+	const app = new web3.eth.Contract(FlightSuretyApp.abi, config.appAddress);
+	const data = new web3.eth.Contract(FlightSuretyData.abi, config.dataAddress);
+	const from = await resolveAccount(web3, args.from || "0");
+
+	// Answers the transaction with the events it emitted, reverts are
+	// thrown with the contract's reason
+	async function send(method, options = {}) {
+		let receipt;
+
+		try {
+			const gas = await method.estimateGas({ from: from, ...options });
+
+			receipt = await method.send({
+				from: from,
+				gas: Math.ceil(gas * GAS_MARGIN),
+				...options,
+			});
+		} catch (error) {
+			throw new Error(revertReason(error) || error.message);
+		}
+
+		const events = [];
+
+		Object.values(receipt.events || {}).forEach((event) => {
+			(Array.isArray(event) ? event : [event])
+				.filter((entry) => entry.event)
+				.forEach((entry) => {
+					events.push({
+						event: entry.event,
+						values: named(entry.returnValues),
+					});
+				});
+		});
+
+		return {
+			from: from,
+			transactionHash: receipt.transactionHash,
+			blockNumber: receipt.blockNumber,
+			gasUsed: receipt.gasUsed,
+			events: events,
+		};
+	}
+
+	return command.run({ web3, app, data, from, send, options: args }, params);
+}
+
+function formatValue(value) {
+	if (value === null || value === undefined) {
+		return "-";
+	}
+	if (Array.isArray(value)) {
+		return value.map(formatValue).join(", ") || "-";
+	}
+	if (typeof value === "object") {
+		return Object.keys(value)
+			.map((key) => `${key}: ${formatValue(value[key])}`)
+			.join(", ");
+	}
+	return String(value);
+}
+
+// AirlineApproved(airlineAddress: 0x...)
+function formatEvent({ event, values }) {
+	return `${event}(${formatValue(values)})`;
+}
+
+// Lists as a table, one row per entry, single results as name/value rows.
+// The events of a transaction follow it, one per line.
+function print(result, json) {
+	if (json) {
+		console.log(JSON.stringify(result, null, 2));
+	} else if (Array.isArray(result)) {
+		if (!result.length) {
+			console.log("Nothing found");
+			return;
+		}
+
+		const columns = Object.keys(result[0]);
+
+		console.log(
+			table([
+				columns,
+				...result.map((entry) =>
+					columns.map((column) => formatValue(entry[column]))
+				),
+			])
+		);
+	} else {
+		const { events, ...fields } = result;
+
+		console.log(
+			table(Object.keys(fields).map((key) => [key, formatValue(fields[key])]))
+		);
+		if (events && events.length) {
+			console.log(`\n${events.map(formatEvent).join("\n")}`);
+		}
+	}
+}
+
+let args;
+
+try {
+	args = parseArgs(process.argv.slice(2));
+} catch (error) {
+	console.error(`${error.message}\n\n${USAGE}`);
+	process.exit(2);
+}
+
+if (args.help) {
+	console.log(USAGE);
+} else {
+	run(args)
+		.then((result) => {
+			print(result, args.json);
+			process.exit(0);
+		})
+		.catch((error) => {
+			if (args.json) {
+				console.error(
+					JSON.stringify({
+						error: { type: error.name, message: error.message },
+					})
+				);
+			} else {
+				console.error(error.message);
+			}
+			process.exit(error instanceof UsageError ? 2 : 1);
+		});
+}
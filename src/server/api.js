@@ -0,0 +1,483 @@
+import express from "express";
+import { createFeed } from "./feed";
+import { REQUEST_STATES } from "./requests";
+import { logEvent } from "./log";
+
+// Airlines need this much stake before they take part in the contract
+const AIRLINE_MIN_FUND = "10000000000000000000";
+
+export class ApiError extends Error {
+	constructor(status, code, message) {
+		super(message);
+		this.status = status;
+		this.code = code;
+	}
+}
+
+// Express 4 does not catch rejected promises from route handlers
+function route(handler) {
+	return (req, res, next) => {
+		Promise.resolve(handler(req, res)).catch(next);
+	};
+}
+
+function requireAddress(web3, value, name) {
+	if (!web3.utils.isAddress(value)) {
+		throw new ApiError(400, "INVALID_ADDRESS", `${name} is not an address`);
+	}
+	return web3.utils.toChecksumAddress(value);
+}
+
+function requireTimestamp(value) {
+	if (!/^\d+$/.test(value)) {
+		throw new ApiError(
+			400,
+			"INVALID_TIMESTAMP",
+			"timestamp must be in seconds"
+		);
+	}
+	return value;
+}
+
+function flightId(airline, flight, timestamp) {
+	return `${airline}|${flight}|${timestamp}`;
+}
+
+// Share of an oracle's settled reports that matched the consensus
+function accuracy(matched, disputed) {
+	const settled = matched + disputed;
+
+	return settled ? matched / settled : null;
+}
+
+/**
+ * Read-only JSON API over the FlightSurety contracts, transactions are sent
+ * with the admin command line. Errors are answered as
+ * { error: { code, message } } with a matching HTTP status. fleet() lists
+ * the accounts of the oracles this server runs.
+ */
+export function createApi({
+	web3,
+	flightSuretyApp,
+	flightSuretyData,
+	indexer,
+	requests,
+	fleet = () => [],
+}) {
+	const router = express.Router();
+
+	// The dapp is served from another port. Only reads are open to other
+	// origins, a page must not make the server act for it.
+	router.use((req, res, next) => {
+		if (req.method === "GET" || req.method === "HEAD") {
+			res.set("Access-Control-Allow-Origin", "*");
+		}
+		next();
+	});
+
+	async function getAirline(address) {
+		const airline = await flightSuretyData.methods.getAirline(address).call();
+
+		return {
+			address: address,
+			name: airline.name,
+			isApproved: airline.isApproved,
+			fundedValue: airline.fundedValue,
+			isFunded: web3.utils
+				.toBN(airline.fundedValue)
+				.gte(web3.utils.toBN(AIRLINE_MIN_FUND)),
+			votes: Number(airline.votes),
+			isParticipating: await flightSuretyData.methods
+				.isApprovedAirline(address)
+				.call(),
+		};
+	}
+
+	async function getFlights() {
+		const count = Number(await flightSuretyApp.methods.getFlightCount().call());
+		const flights = await Promise.all(
+			Array.from({ length: count }, (_, index) =>
+				flightSuretyApp.methods.getFlight(index).call()
+			)
+		);
+
+		return flights.map((flight) => ({
+			airline: flight.airline,
+			flight: flight.flight,
+			timestamp: flight.timestamp,
+			statusCode: Number(flight.statusCode),
+			updatedTimestamp: flight.updatedTimestamp,
+		}));
+	}
+
+	async function getOracle(address) {
+		const oracle = await flightSuretyApp.methods.getOracle(address).call();
+		const matched = Number(oracle.matched);
+		const disputed = Number(oracle.disputed);
+
+		return {
+			address: address,
+			isRegistered: oracle.isRegistered,
+			operatedByServer: fleet().includes(address),
+			indexes: oracle.isRegistered ? oracle.indexes.map(Number) : [],
+			stake: oracle.stake,
+			earnings: oracle.earnings,
+			matched: matched,
+			disputed: disputed,
+			missed: Number(oracle.missed),
+			accuracy: accuracy(matched, disputed),
+		};
+	}
+
+	router.get("/", (req, res) => {
+		res.send({
+			message: "An API for use with your Dapp!",
+			endpoints: [
+				"GET /api/operating-status",
+				"GET /api/airlines",
+				"GET /api/airlines/:address",
+				"GET /api/flights",
+				"GET /api/flights/:airline/:flight/:timestamp",
+				"GET /api/policy-terms",
+				"GET /api/solvency",
+				"GET /api/passengers/:address/policies",
+				"GET /api/passengers/:address/payout",
+				"GET /api/oracles",
+				"GET /api/oracles/:address",
+				"GET /api/oracle-requests",
+				"GET /api/oracle-requests/:id",
+				"GET /api/events",
+			],
+		});
+	});
+
+	// Proposals newest first, votes are counted against the approved
+	// airlines of today
+	router.get(
+		"/operating-status",
+		route(async (req, res) => {
+			const [isOperational, timeout, approved, count] = await Promise.all([
+				flightSuretyApp.methods.isOperational().call(),
+				flightSuretyData.methods.OPERATING_STATUS_VOTE_TIMEOUT().call(),
+				flightSuretyData.methods.getApprovedAirlinesCount().call(),
+				flightSuretyApp.methods.getOperatingStatusProposalCount().call(),
+			]);
+			const proposals = await Promise.all(
+				Array.from({ length: Number(count) }, (_, id) =>
+					flightSuretyApp.methods.getOperatingStatusProposal(id).call()
+				)
+			);
+
+			res.send({
+				isOperational: isOperational,
+				voteTimeout: Number(timeout),
+				requiredVotes: Math.ceil(Number(approved) / 2),
+				proposals: proposals
+					.map((proposal, id) => ({
+						id: id,
+						mode: proposal.mode,
+						openedAt: Number(proposal.openedAt),
+						expiresAt: Number(proposal.openedAt) + Number(timeout),
+						isDecided: proposal.isDecided,
+						isOpen: proposal.isOpen,
+						voters: proposal.voters,
+					}))
+					.reverse(),
+			});
+		})
+	);
+
+	router.get(
+		"/airlines",
+		route(async (req, res) => {
+			const { approved, waiting } = await flightSuretyData.methods
+				.getAirlines()
+				.call();
+			const airlines = await Promise.all(
+				approved.concat(waiting).map((address) => getAirline(address))
+			);
+
+			res.send({ airlines: airlines });
+		})
+	);
+
+	router.get(
+		"/airlines/:address",
+		route(async (req, res) => {
+			const address = requireAddress(web3, req.params.address, "address");
+
+			if (
+				!(await flightSuretyData.methods.isRegisteredAirline(address).call())
+			) {
+				throw new ApiError(
+					404,
+					"AIRLINE_NOT_FOUND",
+					"Airline is not registered"
+				);
+			}
+
+			res.send({ airline: await getAirline(address) });
+		})
+	);
+
+	router.get(
+		"/flights",
+		route(async (req, res) => {
+			const airline =
+				req.query.airline && requireAddress(web3, req.query.airline, "airline");
+			const flights = await getFlights();
+
+			res.send({
+				flights: flights.filter(
+					(flight) => !airline || flight.airline === airline
+				),
+			});
+		})
+	);
+
+	router.get(
+		"/flights/:airline/:flight/:timestamp",
+		route(async (req, res) => {
+			const airline = requireAddress(web3, req.params.airline, "airline");
+			const timestamp = requireTimestamp(req.params.timestamp);
+			const status = await flightSuretyApp.methods
+				.getFlightStatus(airline, req.params.flight, timestamp)
+				.call();
+
+			if (!status.isRegistered) {
+				throw new ApiError(404, "FLIGHT_NOT_FOUND", "Flight is not registered");
+			}
+
+			res.send({
+				flight: {
+					airline: airline,
+					flight: req.params.flight,
+					timestamp: timestamp,
+					statusCode: Number(status.statusCode),
+					updatedTimestamp: status.updatedTimestamp,
+				},
+			});
+		})
+	);
+
+	router.get(
+		"/policy-terms",
+		route(async (req, res) => {
+			const count = Number(
+				await flightSuretyApp.methods.getPolicyTermsCount().call()
+			);
+			const versions = await Promise.all(
+				Array.from({ length: count }, (_, version) =>
+					flightSuretyApp.methods.getPolicyTerms(version).call()
+				)
+			);
+
+			res.send({
+				current: count - 1,
+				terms: versions.map((terms, version) => {
+					const payouts = {};
+
+					terms.payoutPercents.forEach((percent, i) => {
+						payouts[i * 10] = Number(percent);
+					});
+
+					return {
+						version: version,
+						payoutPercents: payouts,
+						maxCoverage: terms.maxCoverage,
+					};
+				}),
+			});
+		})
+	);
+
+	// Amounts in wei. Flights are those with policies, their exposure is
+	// released once their status is final.
+	router.get(
+		"/solvency",
+		route(async (req, res) => {
+			const toBN = web3.utils.toBN;
+			const report = await flightSuretyData.methods.getSolvency().call();
+			const balance = await web3.eth.getBalance(
+				flightSuretyData.options.address
+			);
+			const catalog = await getFlights();
+			const flights = await Promise.all(
+				catalog.map(async (flight) => {
+					const exposure = await flightSuretyData.methods
+						.getFlightExposure(flight.airline, flight.flight, flight.timestamp)
+						.call();
+
+					return {
+						airline: flight.airline,
+						flight: flight.flight,
+						timestamp: flight.timestamp,
+						statusCode: flight.statusCode,
+						insuredValue: exposure.insuredValue,
+						exposure: exposure.exposure,
+					};
+				})
+			);
+
+			res.send({
+				solvency: {
+					balance: balance,
+					airlineCapital: report.capital,
+					premiums: report.premiums,
+					creditedPayouts: report.credited,
+					withdrawnPayouts: report.withdrawn,
+					exposure: report.exposure,
+					backingCapital: report.backing,
+					// Every credited payout can be withdrawn
+					isSolvent: toBN(balance).gte(toBN(report.credited)),
+					// The capital covers all flights' exposure at once
+					coversExposure: toBN(report.backing).gte(toBN(report.exposure)),
+				},
+				flights: flights.filter((flight) => flight.insuredValue !== "0"),
+			});
+		})
+	);
+
+	router.get(
+		"/passengers/:address/policies",
+		route(async (req, res) => {
+			const passenger = requireAddress(web3, req.params.address, "address");
+			const flights = new Map();
+
+			indexer
+				.find({ event: "InsurancePurchased", passenger: passenger })
+				.forEach((record) => {
+					flights.set(
+						flightId(record.airline, record.flight, record.timestamp),
+						record
+					);
+				});
+
+			const policies = await Promise.all(
+				Array.from(flights.values()).map(async (record) => {
+					const insurance = await flightSuretyData.methods
+						.getInsurance(
+							record.airline,
+							record.flight,
+							record.timestamp,
+							passenger
+						)
+						.call();
+
+					return {
+						airline: record.airline,
+						flight: record.flight,
+						timestamp: record.timestamp,
+						value: insurance.value,
+						paidOut: insurance.paidOut,
+						terms: Number(insurance.terms),
+					};
+				})
+			);
+
+			res.send({ passenger: passenger, policies: policies });
+		})
+	);
+
+	router.get(
+		"/passengers/:address/payout",
+		route(async (req, res) => {
+			const passenger = requireAddress(web3, req.params.address, "address");
+			const amount = await flightSuretyData.methods.getPayout(passenger).call();
+
+			res.send({ passenger: passenger, payout: amount });
+		})
+	);
+
+	router.get(
+		"/oracles",
+		route(async (req, res) => {
+			const accounts = await flightSuretyApp.methods.getOracles().call();
+			const oracles = await Promise.all(
+				accounts.map((address) => getOracle(address))
+			);
+
+			res.send({
+				rewardPool: await flightSuretyApp.methods.oracleRewardPool().call(),
+				oracles: oracles,
+			});
+		})
+	);
+
+	router.get(
+		"/oracles/:address",
+		route(async (req, res) => {
+			const address = requireAddress(web3, req.params.address, "address");
+			const accounts = await flightSuretyApp.methods.getOracles().call();
+
+			if (!accounts.includes(address)) {
+				throw new ApiError(
+					404,
+					"ORACLE_NOT_FOUND",
+					"Account never registered as an oracle"
+				);
+			}
+
+			res.send({ oracle: await getOracle(address) });
+		})
+	);
+
+	router.get(
+		"/oracle-requests",
+		route(async (req, res) => {
+			const state = req.query.state;
+
+			if (state && !REQUEST_STATES.includes(state)) {
+				throw new ApiError(
+					400,
+					"INVALID_STATE",
+					`state must be one of ${REQUEST_STATES.join(", ")}`
+				);
+			}
+
+			res.send({ requests: await requests.list({ state: state }) });
+		})
+	);
+
+	router.get(
+		"/oracle-requests/:id",
+		route(async (req, res) => {
+			const request = await requests.get(req.params.id);
+
+			if (!request) {
+				throw new ApiError(404, "REQUEST_NOT_FOUND", "No such oracle request");
+			}
+
+			res.send({ request: request });
+		})
+	);
+
+	router.get("/events", createFeed(indexer));
+
+	router.use((req, res) => {
+		res
+			.status(404)
+			.send({ error: { code: "NOT_FOUND", message: "No such endpoint" } });
+	});
+
+	router.use((error, req, res, next) => {
+		if (error instanceof ApiError) {
+			res
+				.status(error.status)
+				.send({ error: { code: error.code, message: error.message } });
+			return;
+		}
+
+		logEvent("api.error", {
+			level: "error",
+			method: req.method,
+			path: req.originalUrl,
+			error: error.message,
+		});
+		res.status(502).send({
+			error: { code: "CHAIN_ERROR", message: "Could not read from the chain" },
+		});
+	});
+
+	return router;
+}
@@ -0,0 +1,83 @@
+const HEARTBEAT_INTERVAL = 15000;
+
+// A cursor is the chain position of an event, "<blockNumber>:<logIndex>"
+export function cursorOf(record) {
+	return `${record.blockNumber}:${record.logIndex}`;
+}
+
+function parseCursor(value) {
+	const match = /^(\d+):(\d+)$/.exec(value || "");
+
+	return match
+		? { blockNumber: Number(match[1]), logIndex: Number(match[2]) }
+		: null;
+}
+
+function isAfter(record, cursor) {
+	return (
+		record.blockNumber > cursor.blockNumber ||
+		(record.blockNumber === cursor.blockNumber &&
+			record.logIndex > cursor.logIndex)
+	);
+}
+
+function sameAddress(a, b) {
+	return !!a && a.toLowerCase() === b.toLowerCase();
+}
+
+function createFilter(query) {
+	const events = query.events ? String(query.events).split(",") : null;
+
+	return (record) =>
+		(!events || events.includes(record.event)) &&
+		(!query.flight || record.flight === query.flight) &&
+		(!query.airline || sameAddress(record.airline, query.airline)) &&
+		(!query.passenger || sameAddress(record.passenger, query.passenger));
+}
+
+function send(res, type, record) {
+	res.write(`id: ${cursorOf(record)}\n`);
+	res.write(`data: ${JSON.stringify({ type: type, record: record })}\n\n`);
+}
+
+/**
+ * Server-sent events stream of the indexed contract events. Query
+ * parameters flight, airline, passenger and events (comma separated names)
+ * filter the stream, cursor (or the Last-Event-ID header sent by a
+ * reconnecting EventSource) replays the events after that position first.
+ */
+export function createFeed(indexer) {
+	return (req, res) => {
+		const matches = createFilter(req.query);
+		const cursor = parseCursor(req.query.cursor || req.get("Last-Event-ID"));
+
+		res.set({
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+		});
+		res.flushHeaders();
+
+		if (cursor) {
+			indexer
+				.find()
+				.filter((record) => isAfter(record, cursor) && matches(record))
+				.forEach((record) => send(res, "added", record));
+		}
+
+		const unsubscribe = indexer.subscribe(({ type, record }) => {
+			if (matches(record)) {
+				send(res, type, record);
+			}
+		});
+		const heartbeat = setInterval(
+			() => res.write(": heartbeat\n\n"),
+			HEARTBEAT_INTERVAL
+		);
+
+		req.on("close", () => {
+			clearInterval(heartbeat);
+			unsubscribe();
+		});
+	};
+}
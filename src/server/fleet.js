@@ -0,0 +1,157 @@
+import path from "path";
+import { readStore, writeStore } from "./jsonStore";
+import { logEvent } from "./log";
+
+async function getIndexes(flightSuretyApp, account) {
+	try {
+		return await flightSuretyApp.methods.getMyIndexes().call({ from: account });
+	} catch (e) {
+		// getMyIndexes reverts for accounts that are not registered
+		return null;
+	}
+}
+
+function sameIndexes(a, b) {
+	return a.length === b.length && a.every((index, i) => index == b[i]);
+}
+
+export function txOptions(settings, from, extra = {}) {
+	const options = { from: from, gas: settings.gas.limit, ...extra };
+
+	if (settings.gas.price) {
+		options.gasPrice = settings.gas.price;
+	}
+
+	return options;
+}
+
+/**
+ * Registers the oracle fleet described by settings.oracles, reusing the
+ * oracles saved in the data directory and any account that is already
+ * registered on chain so that the fee is only paid once per account.
+ * Each oracle tells whether it was "reused" from the data directory,
+ * "already_registered" on chain or "registered" now.
+ */
+export async function registerOracles(web3, flightSuretyApp, settings) {
+	const accounts = await web3.eth.getAccounts();
+	const file = path.join(settings.dataDir, "oracles.json");
+	const store = readStore(file, flightSuretyApp.options.address, {
+		oracles: {},
+	});
+
+	const first = settings.oracles.firstAccount;
+	const last = Math.min(first + settings.oracles.count, accounts.length);
+
+	if (last - first < settings.oracles.count) {
+		logEvent("oracle.registration", {
+			level: "warn",
+			outcome: "missing_accounts",
+			firstAccount: first,
+			available: Math.max(last - first, 0),
+			count: settings.oracles.count,
+		});
+	}
+
+	const fee = await flightSuretyApp.methods.REGISTRATION_FEE().call();
+	const oracles = [];
+
+	for (let a = first; a < last; a++) {
+		const account = accounts[a];
+		const saved = store.oracles[account];
+		let indexes = await getIndexes(flightSuretyApp, account);
+
+		let registration;
+
+		if (indexes && saved && sameIndexes(saved, indexes)) {
+			registration = "reused";
+		} else if (indexes) {
+			registration = "already_registered";
+		} else {
+			const gasAmount = await flightSuretyApp.methods
+				.registerOracle()
+				.estimateGas(txOptions(settings, account, { value: fee }));
+
+			await flightSuretyApp.methods
+				.registerOracle()
+				.send(txOptions(settings, account, { value: fee, gas: gasAmount }));
+
+			indexes = await getIndexes(flightSuretyApp, account);
+			registration = "registered";
+		}
+
+		indexes = Array.from(indexes, (index) => String(index));
+
+		logEvent("oracle.registration", {
+			level: "info",
+			outcome: registration,
+			position: a,
+			account: account,
+			indexes: indexes,
+		});
+
+		store.oracles[account] = indexes;
+		writeStore(file, store);
+
+		oracles.push({
+			account: account,
+			indexes: indexes,
+			registration: registration,
+		});
+	}
+
+	return oracles;
+}
+
+// Oracles holding the index an OracleRequest was made for
+export function invitedOracles(oracles, index) {
+	return oracles.filter((oracle) => oracle.indexes.includes(String(index)));
+}
+
+/**
+ * Sends an oracle's answer to an OracleRequest through the transaction
+ * sender, answers the sender's outcome. A request that already reached
+ * consensus keeps responses as stale until ORACLE_RESPONSE_TIMEOUT, and
+ * slashes the invited oracles that sent none when it is closed, so those
+ * are sent too and answer "stale" once mined.
+ */
+export async function submitResponse(
+	sender,
+	flightSuretyApp,
+	oracle,
+	request,
+	statusCode
+) {
+	const state = await flightSuretyApp.methods
+		.getOracleRequest(
+			request.index,
+			request.airline,
+			request.flight,
+			request.timestamp
+		)
+		.call();
+
+	const result = await sender.send(
+		oracle.account,
+		flightSuretyApp.methods.submitOracleResponse(
+			request.index,
+			request.airline,
+			request.flight,
+			request.timestamp,
+			statusCode
+		),
+		"oracle.response",
+		{
+			index: request.index,
+			airline: request.airline,
+			flight: request.flight,
+			timestamp: request.timestamp,
+			provider: oracle.provider.name,
+			status: statusCode,
+			stale: state.isFinalized,
+		}
+	);
+
+	return state.isFinalized && result.outcome === "mined"
+		? { ...result, outcome: "stale" }
+		: result;
+}
@@ -0,0 +1,15 @@
+/**
+ * Rows of cells as aligned columns for the terminal, the first row is
+ * usually the header
+ */
+export function table(rows) {
+	const widths = rows[0].map((cell, i) =>
+		Math.max(...rows.map((row) => String(row[i]).length))
+	);
+
+	return rows
+		.map((row) =>
+			row.map((cell, i) => String(cell).padEnd(widths[i])).join("  ")
+		)
+		.join("\n");
+}
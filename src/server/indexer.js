@@ -0,0 +1,235 @@
+import path from "path";
+import { EventEmitter } from "events";
+import { readStore, writeStore } from "./jsonStore";
+import { logEvent } from "./log";
+
+export const INDEXED_EVENTS = [
+	"OracleRequest",
+	"OracleReport",
+	"FlightStatusInfo",
+	"InsurancePurchased",
+	"PayoutWithdrawn",
+	"AirlineApproved",
+	"FlightRegistered",
+	"OperatingStatusVoted",
+	"OperatingStatusChanged",
+];
+
+const SAVE_DELAY = 500;
+
+function eventId(event) {
+	return `${event.transactionHash}:${event.logIndex}`;
+}
+
+// web3 repeats every return value under its position, only names are kept
+function namedValues(returnValues) {
+	const values = {};
+
+	Object.keys(returnValues || {})
+		.filter((key) => isNaN(key))
+		.forEach((key) => {
+			values[key] = returnValues[key];
+		});
+
+	return values;
+}
+
+/**
+ * Turns a web3 event into the record the indexer keeps, with the airline,
+ * flight, timestamp and passenger lifted out of the differently named
+ * event arguments
+ */
+export function normalizeEvent(event) {
+	const values = namedValues(event.returnValues);
+
+	return {
+		id: eventId(event),
+		event: event.event,
+		blockNumber: event.blockNumber,
+		blockHash: event.blockHash,
+		transactionHash: event.transactionHash,
+		logIndex: event.logIndex,
+		airline: values.airline || values.airlineAddress || null,
+		flight: values.flight === undefined ? null : values.flight,
+		timestamp: values.timestamp === undefined ? null : values.timestamp,
+		passenger: values.paxAddress || null,
+		values: values,
+	};
+}
+
+function sameAddress(a, b) {
+	return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+function byChainOrder(a, b) {
+	return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Keeps every FlightSuretyApp event in data/events.json. Events reported
+ * as removed by a chain reorganisation are rolled back, and so is anything
+ * left from a block that was replaced by one with another hash.
+ */
+export function createIndexer({
+	web3,
+	flightSuretyApp,
+	dataDir,
+	fromBlock = 0,
+	pageSize = 1000,
+}) {
+	const file = path.join(dataDir, "events.json");
+	const store = readStore(file, flightSuretyApp.options.address, {
+		// Nothing happens before the contracts are deployed
+		lastBlock: fromBlock - 1,
+		events: [],
+	});
+	const events = new Map(store.events.map((record) => [record.id, record]));
+	const emitter = new EventEmitter();
+	let saveTimer = null;
+
+	emitter.setMaxListeners(0);
+
+	function save() {
+		clearTimeout(saveTimer);
+		saveTimer = null;
+		store.events = Array.from(events.values()).sort(byChainOrder);
+		writeStore(file, store);
+	}
+
+	function scheduleSave() {
+		if (!saveTimer) {
+			saveTimer = setTimeout(save, SAVE_DELAY);
+		}
+	}
+
+	function dropOrphans(blockNumber, blockHash) {
+		events.forEach((record, id) => {
+			if (
+				record.blockNumber === blockNumber &&
+				record.blockHash !== blockHash
+			) {
+				logEvent("indexer.reorg", {
+					level: "warn",
+					name: record.event,
+					blockNumber: blockNumber,
+					transactionHash: record.transactionHash,
+					blockHash: record.blockHash,
+					replacedBy: blockHash,
+				});
+				events.delete(id);
+				emitter.emit("change", { type: "removed", record: record });
+			}
+		});
+	}
+
+	function add(event) {
+		if (event.removed) {
+			return remove(event);
+		}
+		if (!INDEXED_EVENTS.includes(event.event)) {
+			return null;
+		}
+
+		const record = normalizeEvent(event);
+		const known = events.get(record.id);
+
+		// The live subscription and sync() can both deliver an event
+		if (known && known.blockHash === record.blockHash) {
+			return known;
+		}
+
+		dropOrphans(record.blockNumber, record.blockHash);
+		events.set(record.id, record);
+		// More events of the block may follow, only the blocks before it are
+		// known to be complete. A restart reads the block again.
+		store.lastBlock = Math.max(store.lastBlock, record.blockNumber - 1);
+		scheduleSave();
+		emitter.emit("change", { type: "added", record: record });
+
+		return record;
+	}
+
+	function remove(event) {
+		const id = eventId(event);
+		const record = events.get(id) || null;
+
+		if (record) {
+			events.delete(id);
+			store.lastBlock = Math.min(store.lastBlock, record.blockNumber - 1);
+			scheduleSave();
+			emitter.emit("change", { type: "removed", record: record });
+		}
+
+		return record;
+	}
+
+	/**
+	 * Catches up with the events emitted since the last indexed block, in
+	 * pages of pageSize blocks. The checkpoint is saved after every page, so
+	 * an interrupted backfill resumes where it stopped.
+	 */
+	async function sync() {
+		const latest = await web3.eth.getBlockNumber();
+		let count = 0;
+
+		for (
+			let pageStart = store.lastBlock + 1;
+			pageStart <= latest;
+			pageStart += pageSize
+		) {
+			const pageEnd = Math.min(pageStart + pageSize - 1, latest);
+			const past = await flightSuretyApp.getPastEvents("allEvents", {
+				fromBlock: pageStart,
+				toBlock: pageEnd,
+			});
+
+			past.forEach(add);
+			store.lastBlock = Math.max(store.lastBlock, pageEnd);
+			save();
+			count += past.length;
+		}
+
+		return count;
+	}
+
+	function find(filter = {}) {
+		return Array.from(events.values())
+			.filter(
+				(record) =>
+					(!filter.event || record.event === filter.event) &&
+					(!filter.airline || sameAddress(record.airline, filter.airline)) &&
+					(filter.flight === undefined || record.flight === filter.flight) &&
+					(filter.timestamp === undefined ||
+						String(record.timestamp) === String(filter.timestamp)) &&
+					(!filter.passenger ||
+						sameAddress(record.passenger, filter.passenger)) &&
+					(filter.fromBlock === undefined ||
+						record.blockNumber >= filter.fromBlock) &&
+					(filter.toBlock === undefined || record.blockNumber <= filter.toBlock)
+			)
+			.sort(byChainOrder);
+	}
+
+	/**
+	 * Calls listener with { type: "added" | "removed", record } for every
+	 * change to the index, returns a function that ends the subscription
+	 */
+	function subscribe(listener) {
+		emitter.on("change", listener);
+		return () => emitter.off("change", listener);
+	}
+
+	return {
+		add: add,
+		remove: remove,
+		sync: sync,
+		save: save,
+		find: find,
+		subscribe: subscribe,
+		flightEvents: (airline, flight, timestamp) =>
+			find({ airline: airline, flight: flight, timestamp: timestamp }),
+		passengerEvents: (passenger) => find({ passenger: passenger }),
+		lastBlock: () => store.lastBlock,
+		count: () => events.size,
+	};
+}
@@ -0,0 +1,28 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Small JSON files under the data directory serve as the server's local
+ * database. Each store records the app contract it belongs to, and starts
+ * over when a new contract is deployed.
+ */
+export function readStore(file, appAddress, empty) {
+	if (fs.existsSync(file)) {
+		const store = JSON.parse(fs.readFileSync(file, "utf-8"));
+
+		if (store.appAddress === appAddress) {
+			return store;
+		}
+	}
+
+	return { appAddress: appAddress, ...empty };
+}
+
+// Written to a temporary file first so that a crash never leaves half a store
+export function writeStore(file, store) {
+	const temporary = `${file}.tmp`;
+
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(temporary, JSON.stringify(store, null, "\t"), "utf-8");
+	fs.renameSync(temporary, file);
+}
@@ -0,0 +1,17 @@
+/**
+ * Structured log lines, one JSON object per line so that they can be
+ * filtered with jq or shipped to a log collector as they are
+ */
+export function logEvent(event, fields = {}) {
+	const line = JSON.stringify({
+		time: new Date().toISOString(),
+		event: event,
+		...fields,
+	});
+
+	if (fields.level === "error") {
+		console.error(line);
+	} else {
+		console.log(line);
+	}
+}
@@ -0,0 +1,245 @@
+// Prometheus text exposition format, version 0.0.4
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds from an OracleRequest to the FlightStatusInfo that closes it
+const CONSENSUS_BUCKETS = [1, 2, 5, 10, 30, 60, 120, 300, 600];
+
+function escapeLabel(value) {
+	return String(value)
+		.replace(/\\/g, "\\\\")
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+	const names = Object.keys(labels);
+
+	if (!names.length) {
+		return "";
+	}
+
+	return `{${names
+		.map((name) => `${name}="${escapeLabel(labels[name])}"`)
+		.join(",")}}`;
+}
+
+// Samples of one metric, keyed by their label values
+function createSeries(labelNames) {
+	const series = new Map();
+
+	return {
+		get(labels, create) {
+			const values = labelNames.map((name) => String(labels[name]));
+			const key = JSON.stringify(values);
+
+			if (!series.has(key)) {
+				const named = {};
+				labelNames.forEach((name, i) => {
+					named[name] = values[i];
+				});
+				series.set(key, { labels: named, ...create() });
+			}
+
+			return series.get(key);
+		},
+		all: () => Array.from(series.values()),
+	};
+}
+
+/**
+ * A minimal metrics registry: counters, gauges and histograms rendered in
+ * the Prometheus text format. Gauges can read their value at scrape time.
+ */
+export function createRegistry() {
+	const metrics = [];
+
+	function counter(name, help, labelNames = []) {
+		const series = createSeries(labelNames);
+		const create = () => ({ value: 0 });
+
+		// Without labels there is one series, reported from the start
+		if (!labelNames.length) {
+			series.get({}, create);
+		}
+
+		metrics.push({
+			name: name,
+			help: help,
+			type: "counter",
+			render: () =>
+				series
+					.all()
+					.map(
+						(sample) => `${name}${formatLabels(sample.labels)} ${sample.value}`
+					),
+		});
+
+		return {
+			inc(labels = {}, value = 1) {
+				series.get(labels, create).value += value;
+			},
+		};
+	}
+
+	function gauge(name, help, collect) {
+		let value = 0;
+
+		metrics.push({
+			name: name,
+			help: help,
+			type: "gauge",
+			render: async () => [`${name} ${collect ? await collect() : value}`],
+		});
+
+		return {
+			set(next) {
+				value = next;
+			},
+		};
+	}
+
+	function histogram(name, help, buckets, labelNames = []) {
+		const series = createSeries(labelNames);
+		const create = () => ({
+			counts: buckets.map(() => 0),
+			sum: 0,
+			count: 0,
+		});
+
+		if (!labelNames.length) {
+			series.get({}, create);
+		}
+
+		metrics.push({
+			name: name,
+			help: help,
+			type: "histogram",
+			render: () =>
+				series.all().flatMap((sample) => {
+					const lines = buckets.map(
+						(bucket, i) =>
+							`${name}_bucket${formatLabels({
+								...sample.labels,
+								le: bucket,
+							})} ${sample.counts[i]}`
+					);
+
+					lines.push(
+						`${name}_bucket${formatLabels({ ...sample.labels, le: "+Inf" })} ${
+							sample.count
+						}`,
+						`${name}_sum${formatLabels(sample.labels)} ${sample.sum}`,
+						`${name}_count${formatLabels(sample.labels)} ${sample.count}`
+					);
+
+					return lines;
+				}),
+		});
+
+		return {
+			observe(value, labels = {}) {
+				const sample = series.get(labels, create);
+
+				buckets.forEach((bucket, i) => {
+					if (value <= bucket) {
+						sample.counts[i]++;
+					}
+				});
+				sample.sum += value;
+				sample.count++;
+			},
+		};
+	}
+
+	async function render() {
+		const blocks = await Promise.all(
+			metrics.map(async (metric) => {
+				let lines;
+
+				try {
+					lines = await metric.render();
+				} catch (error) {
+					// A gauge that cannot be read is left out of this scrape
+					lines = [];
+				}
+
+				return [
+					`# HELP ${metric.name} ${metric.help}`,
+					`# TYPE ${metric.name} ${metric.type}`,
+					...lines,
+				].join("\n");
+			})
+		);
+
+		return `${blocks.join("\n")}\n`;
+	}
+
+	// Express handler for GET /metrics
+	function handler(req, res, next) {
+		render()
+			.then((text) => {
+				res.set("Content-Type", CONTENT_TYPE);
+				res.send(text);
+			})
+			.catch(next);
+	}
+
+	return { counter, gauge, histogram, render, handler };
+}
+
+/**
+ * The oracle server's metrics, named flightsurety_*
+ */
+export function createServerMetrics({ web3, indexer }) {
+	const registry = createRegistry();
+
+	return {
+		registry: registry,
+		registrations: registry.counter(
+			"flightsurety_oracle_registrations_total",
+			"Oracle accounts set up at startup, by whether the fee was paid",
+			["outcome"]
+		),
+		oracles: registry.gauge(
+			"flightsurety_oracles",
+			"Oracles answering requests"
+		),
+		requests: registry.counter(
+			"flightsurety_oracle_requests_total",
+			"OracleRequest events received"
+		),
+		responses: registry.counter(
+			"flightsurety_oracle_responses_total",
+			"Oracle responses mined, by oracle and status code",
+			["oracle", "status"]
+		),
+		stale: registry.counter(
+			"flightsurety_oracle_responses_stale_total",
+			"Oracle responses mined after the request had reached consensus"
+		),
+		failures: registry.counter(
+			"flightsurety_oracle_response_failures_total",
+			"Oracle responses that were not mined, by reason",
+			["reason"]
+		),
+		consensus: registry.histogram(
+			"flightsurety_oracle_consensus_seconds",
+			"Block time from an oracle request to its consensus",
+			CONSENSUS_BUCKETS
+		),
+		reconnects: registry.counter(
+			"flightsurety_subscription_reconnects_total",
+			"Reconnections of the node connection the event subscriptions use"
+		),
+		block: registry.gauge(
+			"flightsurety_current_block",
+			"Latest block of the node",
+			() => web3.eth.getBlockNumber()
+		),
+		indexedBlock: registry.gauge(
+			"flightsurety_indexed_block",
+			"Last block the event index is complete up to",
+			() => indexer.lastBlock()
+		),
+	};
+}
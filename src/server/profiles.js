@@ -0,0 +1,117 @@
+import {
+	STATUS_CODES,
+	STATUS_CODE_LATE_AIRLINE,
+	isStatusCode,
+} from "./statusCodes";
+
+function sleep(time) {
+	return new Promise((r) => setTimeout(r, time));
+}
+
+// A behaviour profile answers getStatus(request, truth) with the status
+// code the oracle reports when the flight's actual status is truth, or
+// null when it does not answer at all
+const PROFILES = {
+	honest: () => ({
+		name: "honest",
+		async getStatus(request, truth) {
+			return truth;
+		},
+	}),
+	"always-late": () => ({
+		name: "always-late",
+		async getStatus() {
+			return STATUS_CODE_LATE_AIRLINE;
+		},
+	}),
+	random: () => ({
+		name: "random",
+		async getStatus() {
+			return STATUS_CODES[Math.floor(Math.random() * STATUS_CODES.length)];
+		},
+	}),
+	silent: () => ({
+		name: "silent",
+		async getStatus() {
+			return null;
+		},
+	}),
+	// Honest, but too slow to be among the first reports
+	delayed: (options) => ({
+		name: "delayed",
+		async getStatus(request, truth) {
+			await sleep(options.delay);
+			return truth;
+		},
+	}),
+	colluding: (options) => ({
+		name: `colluding:${options.status}`,
+		async getStatus() {
+			return options.status;
+		},
+	}),
+};
+
+export const PROFILE_NAMES = Object.keys(PROFILES);
+
+export function createProfile(name, options = {}) {
+	if (!PROFILES[name]) {
+		throw new Error(
+			`Unknown oracle profile "${name}", use one of ${PROFILE_NAMES.join(", ")}`
+		);
+	}
+	if (name === "colluding" && !isStatusCode(options.status)) {
+		throw new Error(`Colluding oracles need a status code to agree on`);
+	}
+
+	return PROFILES[name](options);
+}
+
+/**
+ * Parses a mix such as "honest=14,colluding=3,silent=3" into
+ * [{ name, count }], in the given order
+ */
+export function parseProfileMix(text) {
+	return text.split(",").map((part) => {
+		const [name, count] = part.split("=").map((value) => value.trim());
+
+		if (!PROFILES[name] || !(Number(count) >= 0)) {
+			throw new Error(
+				`Oracle profiles are given as <profile>=<count>, with profiles ${PROFILE_NAMES.join(
+					", "
+				)}`
+			);
+		}
+
+		return { name: name, count: Number(count) };
+	});
+}
+
+/**
+ * Gives the oracles their profiles in the order of the mix, oracles left
+ * over are honest
+ */
+export function assignProfiles(oracles, mix, options) {
+	const profiles = [];
+
+	mix.forEach(({ name, count }) => {
+		const profile = createProfile(name, options);
+
+		for (let i = 0; i < count; i++) {
+			profiles.push(profile);
+		}
+	});
+
+	if (profiles.length > oracles.length) {
+		throw new Error(
+			`The profile mix has ${profiles.length} oracles, only ${oracles.length} are registered`
+		);
+	}
+
+	const honest = createProfile("honest");
+
+	return oracles.map((oracle, i) => ({
+		...oracle,
+		provider: profiles[i] || honest,
+	}));
+}
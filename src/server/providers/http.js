@@ -0,0 +1,67 @@
+import http from "http";
+import https from "https";
+import { isStatusCode } from "../statusCodes";
+
+function getJson(url, timeout) {
+	const client = url.protocol === "https:" ? https : http;
+
+	return new Promise((resolve, reject) => {
+		const request = client.get(url, { timeout: timeout }, (response) => {
+			let body = "";
+
+			response.setEncoding("utf-8");
+			response.on("data", (chunk) => (body += chunk));
+			response.on("end", () => {
+				if (response.statusCode !== 200) {
+					reject(
+						new Error(`Flight data endpoint answered ${response.statusCode}`)
+					);
+					return;
+				}
+				try {
+					resolve(JSON.parse(body));
+				} catch (e) {
+					reject(new Error("Flight data endpoint did not answer JSON"));
+				}
+			});
+		});
+
+		request.on("timeout", () => {
+			request.destroy(new Error("Flight data endpoint timed out"));
+		});
+		request.on("error", reject);
+	});
+}
+
+/**
+ * Queries a flight data endpoint with the airline, flight and timestamp as
+ * query parameters. The endpoint answers JSON with a "status" status code.
+ */
+export default function createHttpProvider(options) {
+	if (!options.url) {
+		throw new Error("The http provider needs a url");
+	}
+
+	const timeout = options.timeout || 5000;
+
+	return {
+		name: "http",
+		async getStatus({ airline, flight, timestamp }) {
+			const url = new URL(options.url);
+
+			url.searchParams.set("airline", airline);
+			url.searchParams.set("flight", flight);
+			url.searchParams.set("timestamp", timestamp);
+
+			const body = await getJson(url, timeout);
+
+			if (!isStatusCode(body.status)) {
+				throw new Error(
+					`Flight data endpoint sent unknown status ${body.status}`
+				);
+			}
+
+			return Number(body.status);
+		},
+	};
+}
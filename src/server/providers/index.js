@@ -0,0 +1,53 @@
+import createRandomProvider from "./random";
+import createScheduleProvider from "./schedule";
+import createHttpProvider from "./http";
+
+// A provider answers getStatus({ airline, flight, timestamp }) with a
+// promise for one of the contract status codes
+const PROVIDERS = {
+	random: createRandomProvider,
+	schedule: createScheduleProvider,
+	http: createHttpProvider,
+};
+
+export function createProvider(options = {}) {
+	const type = options.type || "random";
+
+	if (!PROVIDERS[type]) {
+		throw new Error(`Unknown flight status provider "${type}"`);
+	}
+
+	return PROVIDERS[type](options);
+}
+
+/**
+ * Picks the provider for one oracle: an entry in settings.oracles.providers
+ * keyed by account wins over the fleet-wide settings.oracles.provider
+ */
+export function providerOptionsFor(settings, account) {
+	const overrides = settings.oracles.providers || {};
+	const key = Object.keys(overrides).find(
+		(address) => address.toLowerCase() === account.toLowerCase()
+	);
+
+	return key ? overrides[key] : settings.oracles.provider;
+}
+
+/**
+ * Gives every oracle its provider, oracles with the same provider settings
+ * share one instance so that schedule files are only read once
+ */
+export function assignProviders(settings, oracles) {
+	const providers = {};
+
+	return oracles.map((oracle) => {
+		const options = providerOptionsFor(settings, oracle.account) || {};
+		const key = JSON.stringify(options);
+
+		if (!providers[key]) {
+			providers[key] = createProvider(options);
+		}
+
+		return { ...oracle, provider: providers[key] };
+	});
+}
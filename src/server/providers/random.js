@@ -0,0 +1,32 @@
+import {
+	STATUS_CODE_UNKNOWN,
+	STATUS_CODE_ON_TIME,
+	STATUS_CODE_LATE_AIRLINE,
+	STATUS_CODE_LATE_WEATHER,
+	STATUS_CODE_LATE_TECHNICAL,
+	STATUS_CODE_LATE_OTHER,
+} from "../statusCodes";
+
+// LATE_OTHER is listed twice so that it comes up more often
+const WEIGHTED_STATUS_CODES = [
+	STATUS_CODE_UNKNOWN,
+	STATUS_CODE_ON_TIME,
+	STATUS_CODE_LATE_AIRLINE,
+	STATUS_CODE_LATE_WEATHER,
+	STATUS_CODE_LATE_TECHNICAL,
+	STATUS_CODE_LATE_OTHER,
+	STATUS_CODE_LATE_OTHER,
+];
+
+function getRandomInt(max) {
+	return Math.floor(Math.random() * max);
+}
+
+export default function createRandomProvider() {
+	return {
+		name: "random",
+		async getStatus() {
+			return WEIGHTED_STATUS_CODES[getRandomInt(WEIGHTED_STATUS_CODES.length)];
+		},
+	};
+}
@@ -0,0 +1,83 @@
+import fs from "fs";
+import path from "path";
+import { STATUS_CODE_UNKNOWN, isStatusCode } from "../statusCodes";
+
+export function scheduleKey(airline, flight, timestamp) {
+	return `${String(airline).toLowerCase()}|${flight}|${timestamp}`;
+}
+
+// CSV files need a header row naming the airline, flight, timestamp and
+// status columns, the order is free
+function parseCsv(text) {
+	const lines = text
+		.split(/\r?\n/)
+		.map((line) => line.trim())
+		.filter((line) => line && !line.startsWith("#"));
+	const header = lines
+		.shift()
+		.split(",")
+		.map((column) => column.trim());
+
+	return lines.map((line) => {
+		const values = line.split(",").map((value) => value.trim());
+		const entry = {};
+
+		header.forEach((column, i) => {
+			entry[column] = values[i];
+		});
+
+		return entry;
+	});
+}
+
+export function readSchedule(file) {
+	const text = fs.readFileSync(file, "utf-8");
+	const entries =
+		path.extname(file).toLowerCase() === ".csv"
+			? parseCsv(text)
+			: JSON.parse(text);
+	const schedule = new Map();
+
+	entries.forEach((entry, i) => {
+		if (!entry.airline || !entry.flight || entry.timestamp === undefined) {
+			throw new Error(
+				`Schedule entry ${i} in ${file} needs airline, flight and timestamp`
+			);
+		}
+		if (!isStatusCode(entry.status)) {
+			throw new Error(
+				`Schedule entry ${i} in ${file} has unknown status ${entry.status}`
+			);
+		}
+
+		schedule.set(
+			scheduleKey(entry.airline, entry.flight, entry.timestamp),
+			Number(entry.status)
+		);
+	});
+
+	return schedule;
+}
+
+/**
+ * Answers from a fixed schedule file (JSON array or CSV) so that runs can be
+ * reproduced. Flights missing from the schedule get options.default.
+ */
+export default function createScheduleProvider(options) {
+	if (!options.file) {
+		throw new Error("The schedule provider needs a file");
+	}
+
+	const schedule = readSchedule(options.file);
+	const fallback =
+		options.default === undefined ? STATUS_CODE_UNKNOWN : options.default;
+
+	return {
+		name: "schedule",
+		async getStatus({ airline, flight, timestamp }) {
+			const status = schedule.get(scheduleKey(airline, flight, timestamp));
+
+			return status === undefined ? Number(fallback) : status;
+		},
+	};
+}
@@ -0,0 +1,271 @@
+import { logEvent } from "./log";
+
+export const REQUEST_OPEN = "open";
+export const REQUEST_FINALIZED = "finalized";
+export const REQUEST_TIMED_OUT = "timed-out";
+
+export const REQUEST_STATES = [
+	REQUEST_OPEN,
+	REQUEST_FINALIZED,
+	REQUEST_TIMED_OUT,
+];
+
+const RESPONSE_INPUTS = ["uint8", "address", "string", "uint256", "uint8"];
+
+/**
+ * The key FlightSuretyApp stores oracle responses under
+ */
+export function requestKey(web3, index, airline, flight, timestamp) {
+	return web3.utils.soliditySha3(
+		{ t: "uint8", v: index },
+		{ t: "address", v: airline },
+		{ t: "string", v: flight },
+		{ t: "uint256", v: timestamp }
+	);
+}
+
+function sameFlight(a, b) {
+	return (
+		a.airline.toLowerCase() === b.airline.toLowerCase() &&
+		a.flight === b.flight &&
+		String(a.timestamp) === String(b.timestamp)
+	);
+}
+
+/**
+ * Follows every OracleRequest from the indexed events: the reports it
+ * received per status code, and whether it was finalized by a
+ * FlightStatusInfo or timed out waiting for enough matching reports.
+ *
+ * OracleReport does not carry the request index, it is read from the input
+ * of the submitOracleResponse transaction instead. Times are block times in
+ * seconds. onFinalized(request) is called for each consensus seen live.
+ */
+export function createRequestTracker({
+	web3,
+	flightSuretyApp,
+	indexer,
+	settings,
+	onFinalized = () => {},
+}) {
+	const selector = flightSuretyApp.options.jsonInterface.find(
+		(entry) => entry.name === "submitOracleResponse"
+	).signature;
+	const requests = new Map();
+	// Records already applied, sync() may deliver some again after rebuild()
+	const applied = new Set();
+	const transactions = new Map();
+	const blockTimes = new Map();
+	let queue = Promise.resolve();
+
+	async function blockTime(blockNumber) {
+		if (!blockTimes.has(blockNumber)) {
+			const block = await web3.eth.getBlock(blockNumber);
+			blockTimes.set(blockNumber, Number(block.timestamp));
+		}
+
+		return blockTimes.get(blockNumber);
+	}
+
+	// Sender and decoded index of an oracle response, null when it was not
+	// sent to submitOracleResponse directly
+	async function reportTransaction(record) {
+		if (!transactions.has(record.transactionHash)) {
+			const transaction = await web3.eth.getTransaction(record.transactionHash);
+			let index = null;
+
+			if (transaction.input.startsWith(selector)) {
+				index = String(
+					web3.eth.abi.decodeParameters(
+						RESPONSE_INPUTS,
+						transaction.input.slice(10)
+					)[0]
+				);
+			}
+
+			transactions.set(record.transactionHash, {
+				from: transaction.from,
+				index: index,
+			});
+		}
+
+		return transactions.get(record.transactionHash);
+	}
+
+	// The latest request for the flight opened before the record, with the
+	// index when it is known
+	function requestFor(record, index) {
+		let found = null;
+
+		requests.forEach((request) => {
+			if (
+				sameFlight(request, record) &&
+				(index === null || request.index === index) &&
+				request.blockNumber <= record.blockNumber
+			) {
+				found = request;
+			}
+		});
+
+		return found;
+	}
+
+	// Nothing is logged while replaying the index
+	async function apply(record, replaying = false) {
+		if (applied.has(record.id)) {
+			return;
+		}
+		applied.add(record.id);
+
+		if (record.event === "OracleRequest") {
+			const index = String(record.values.index);
+
+			requests.forEach((request) => {
+				if (
+					sameFlight(request, record) &&
+					request.finalizedAt === null &&
+					!request.retriggeredBy
+				) {
+					request.retriggeredBy = record.id;
+				}
+			});
+
+			requests.set(record.id, {
+				id: record.id,
+				key: requestKey(
+					web3,
+					index,
+					record.airline,
+					record.flight,
+					record.timestamp
+				),
+				index: index,
+				airline: record.airline,
+				flight: record.flight,
+				timestamp: record.timestamp,
+				openedAt: await blockTime(record.blockNumber),
+				blockNumber: record.blockNumber,
+				transactionHash: record.transactionHash,
+				reports: [],
+				status: null,
+				finalizedAt: null,
+				retriggeredBy: null,
+			});
+		} else if (record.event === "OracleReport") {
+			const transaction = await reportTransaction(record);
+			const request = requestFor(record, transaction.index);
+
+			if (request) {
+				request.reports.push({
+					oracle: transaction.from,
+					status: Number(record.values.status),
+					at: await blockTime(record.blockNumber),
+					blockNumber: record.blockNumber,
+					transactionHash: record.transactionHash,
+				});
+			}
+		} else if (record.event === "FlightStatusInfo") {
+			// Emitted by the report that completed the consensus
+			const transaction = await reportTransaction(record);
+			const request = requestFor(record, transaction.index);
+
+			if (request && request.finalizedAt === null) {
+				request.status = Number(record.values.status);
+				request.finalizedAt = await blockTime(record.blockNumber);
+
+				if (replaying) {
+					return;
+				}
+				onFinalized(request);
+				logEvent("oracle.request", {
+					level: "info",
+					outcome: REQUEST_FINALIZED,
+					id: request.id,
+					index: request.index,
+					airline: request.airline,
+					flight: request.flight,
+					timestamp: request.timestamp,
+					status: request.status,
+					reports: request.reports.length,
+				});
+			}
+		}
+	}
+
+	function rebuild() {
+		requests.clear();
+		applied.clear();
+		return indexer
+			.find()
+			.reduce(
+				(previous, record) => previous.then(() => apply(record, true)),
+				Promise.resolve()
+			);
+	}
+
+	// Changes are applied one at a time, in the order the indexer saw them
+	function enqueue(work) {
+		queue = queue.then(work).catch((error) => {
+			logEvent("oracle.request", { level: "error", error: error.message });
+		});
+		return queue;
+	}
+
+	indexer.subscribe((change) => {
+		if (change.type === "removed") {
+			enqueue(rebuild);
+		} else {
+			enqueue(() => apply(change.record));
+		}
+	});
+
+	function describe(request, now) {
+		const tally = {};
+
+		request.reports.forEach((report) => {
+			tally[report.status] = (tally[report.status] || 0) + 1;
+		});
+
+		let state = REQUEST_OPEN;
+		if (request.finalizedAt !== null) {
+			state = REQUEST_FINALIZED;
+		} else if (now - request.openedAt > settings.requests.timeout) {
+			state = REQUEST_TIMED_OUT;
+		}
+
+		return {
+			...request,
+			index: Number(request.index),
+			state: state,
+			tally: tally,
+			timedOutAt:
+				state === REQUEST_TIMED_OUT
+					? request.openedAt + settings.requests.timeout
+					: null,
+		};
+	}
+
+	/**
+	 * Requests newest first, optionally only those in one state
+	 */
+	async function list(filter = {}) {
+		await queue;
+		const now = Math.floor(Date.now() / 1000);
+
+		return Array.from(requests.values())
+			.map((request) => describe(request, now))
+			.filter((request) => !filter.state || request.state === filter.state)
+			.sort((a, b) => b.blockNumber - a.blockNumber);
+	}
+
+	async function get(id) {
+		await queue;
+		const request = requests.get(id);
+
+		return request ? describe(request, Math.floor(Date.now() / 1000)) : null;
+	}
+
+	enqueue(rebuild);
+
+	return { list: list, get: get };
+}
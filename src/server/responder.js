@@ -0,0 +1,110 @@
+import { invitedOracles } from "./fleet";
+import { REQUEST_FINALIZED, requestKey } from "./requests";
+import { logEvent } from "./log";
+
+/**
+ * Hands oracle requests to the invited oracles of the fleet, live and after
+ * a backfill. oracles() lists the fleet as it is now, respond(oracle,
+ * request) sends one oracle's answer.
+ */
+export function createResponder({
+	web3,
+	flightSuretyApp,
+	indexer,
+	requests,
+	oracles,
+	respond,
+}) {
+	// Oracle and request pairs already answered. The live subscription and a
+	// backfill can both deliver a request, and the contract rejects a second
+	// response of the same oracle.
+	const answered = new Set();
+
+	// Sends the answers of the invited oracles, except those in reported
+	// that answered on chain already, answers how many were sent
+	function answer(request, reported = []) {
+		const key = requestKey(
+			web3,
+			request.index,
+			request.airline,
+			request.flight,
+			request.timestamp
+		);
+		let sent = 0;
+
+		invitedOracles(oracles(), request.index).forEach((oracle) => {
+			const id = `${oracle.account}:${key}`;
+
+			if (reported.includes(oracle.account.toLowerCase())) {
+				answered.add(id);
+			}
+			if (answered.has(id)) {
+				return;
+			}
+
+			answered.add(id);
+			sent++;
+			respond(oracle, request);
+		});
+
+		return sent;
+	}
+
+	// Indexed requests that are still open on chain, answered by the invited
+	// oracles that have not reported on them yet
+	async function answerOpenRequests() {
+		const pending = (await requests.list()).filter(
+			(request) => request.state !== REQUEST_FINALIZED
+		);
+		let sent = 0;
+
+		for (const request of pending) {
+			const state = await flightSuretyApp.methods
+				.getOracleRequest(
+					request.index,
+					request.airline,
+					request.flight,
+					request.timestamp
+				)
+				.call();
+
+			if (state.isOpen && !state.isFinalized) {
+				sent += answer(
+					{
+						index: String(request.index),
+						airline: request.airline,
+						flight: request.flight,
+						timestamp: request.timestamp,
+					},
+					request.reports.map((report) => report.oracle.toLowerCase())
+				);
+			}
+		}
+
+		return sent;
+	}
+
+	/**
+	 * Indexes the events emitted since the saved checkpoint, while the server
+	 * was down or the connection was lost, and answers the requests among
+	 * them that are still open
+	 */
+	async function backfill() {
+		const fromBlock = indexer.lastBlock() + 1;
+		const events = await indexer.sync();
+		const answers = await answerOpenRequests();
+
+		logEvent("oracle.backfill", {
+			level: "info",
+			fromBlock: fromBlock,
+			toBlock: indexer.lastBlock(),
+			events: events,
+			answers: answers,
+			stored: indexer.count(),
+		});
+
+		return { events: events, answers: answers };
+	}
+
+	return { answer: answer, backfill: backfill };
+}
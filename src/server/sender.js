@@ -0,0 +1,190 @@
+import { revertReason } from "../shared/revert";
+import { txOptions } from "./fleet";
+import { logEvent } from "./log";
+
+// Head room on top of the gas estimate, capped at settings.gas.limit
+const GAS_MARGIN = 1.2;
+
+function sleep(time) {
+	return new Promise((r) => setTimeout(r, time));
+}
+
+// Reverts come out the same way however often they are sent, anything else
+// (dropped connections, nonce races, timeouts) is worth another attempt
+function isRevert(error) {
+	if (revertReason(error)) {
+		return true;
+	}
+
+	if (error && error.receipt && !error.receipt.status) {
+		return true;
+	}
+
+	return /revert|invalid opcode|out of gas/i.test(
+		(error && error.message) || ""
+	);
+}
+
+// Mined, reverted and used up all of its gas. The estimate can fall short
+// when other transactions change the state first, such as the oracle
+// report that completes a consensus and pays out.
+function isOutOfGas(error, gas) {
+	const receipt = error && error.receipt;
+
+	return !!receipt && !receipt.status && receipt.gasUsed >= gas;
+}
+
+/**
+ * Sends contract transactions through one queue per account, so that the
+ * transactions of an account never race for the same nonce. Each send
+ * estimates its gas, retries with twice the gas when that ran out, retries
+ * transient errors with exponential backoff and
+ * answers { outcome: "mined" | "reverted" | "failed", ... } without
+ * rejecting. Every outcome is logged under the event name given to send().
+ */
+export function createSender({ web3, settings }) {
+	const queues = new Map();
+	const nonces = new Map();
+
+	async function nextNonce(account) {
+		if (!nonces.has(account)) {
+			nonces.set(
+				account,
+				await web3.eth.getTransactionCount(account, "pending")
+			);
+		}
+
+		return nonces.get(account);
+	}
+
+	async function estimateGas(method, account, minimum) {
+		const estimate = await method.estimateGas(txOptions(settings, account));
+
+		return Math.min(
+			Math.max(Math.ceil(estimate * GAS_MARGIN), minimum),
+			settings.gas.limit
+		);
+	}
+
+	async function attempt(account, method, event, fields) {
+		let minimumGas = 0;
+
+		for (let attempt = 1; ; attempt++) {
+			let gas = null;
+			let nonce = null;
+
+			try {
+				gas = await estimateGas(method, account, minimumGas);
+				nonce = await nextNonce(account);
+
+				const receipt = await method.send(
+					txOptions(settings, account, { gas: gas, nonce: nonce })
+				);
+
+				nonces.set(account, nonce + 1);
+				logEvent(event, {
+					level: "info",
+					outcome: "mined",
+					account: account,
+					...fields,
+					attempt: attempt,
+					nonce: nonce,
+					gas: gas,
+					gasUsed: receipt.gasUsed,
+					transactionHash: receipt.transactionHash,
+					blockNumber: receipt.blockNumber,
+				});
+
+				return { outcome: "mined", receipt: receipt, attempts: attempt };
+			} catch (error) {
+				// The node knows best which nonce comes next after a failure
+				nonces.delete(account);
+
+				const details = {
+					account: account,
+					...fields,
+					attempt: attempt,
+					nonce: nonce,
+					gas: gas,
+				};
+
+				if (
+					isOutOfGas(error, gas) &&
+					gas < settings.gas.limit &&
+					attempt <= settings.tx.retries
+				) {
+					minimumGas = gas * 2;
+					logEvent(event, {
+						level: "warn",
+						outcome: "retry",
+						...details,
+						error: "out of gas",
+						retryIn: 0,
+					});
+					continue;
+				}
+
+				if (isRevert(error)) {
+					const reason = revertReason(error) || error.message;
+
+					logEvent(event, {
+						level: "warn",
+						outcome: "reverted",
+						...details,
+						reason: reason,
+					});
+
+					return { outcome: "reverted", reason: reason, attempts: attempt };
+				}
+
+				if (attempt > settings.tx.retries) {
+					logEvent(event, {
+						level: "error",
+						outcome: "failed",
+						...details,
+						error: error.message,
+					});
+
+					return {
+						outcome: "failed",
+						error: error.message,
+						attempts: attempt,
+					};
+				}
+
+				const delay = settings.tx.backoff * 2 ** (attempt - 1);
+
+				logEvent(event, {
+					level: "warn",
+					outcome: "retry",
+					...details,
+					error: error.message,
+					retryIn: delay,
+				});
+
+				await sleep(delay);
+			}
+		}
+	}
+
+	/**
+	 * Queues method (a web3 contract method such as
+	 * flightSuretyApp.methods.submitOracleResponse(...)) to be sent from
+	 * account, fields are added to each log line
+	 */
+	function send(account, method, event, fields = {}) {
+		const previous = queues.get(account) || Promise.resolve();
+		const result = previous.then(() => attempt(account, method, event, fields));
+
+		queues.set(account, result);
+		result.then(() => {
+			if (queues.get(account) === result) {
+				queues.delete(account);
+			}
+		});
+
+		return result;
+	}
+
+	return { send };
+}
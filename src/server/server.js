@@ -1,178 +1,249 @@
 import FlightSuretyApp from "../../build/contracts/FlightSuretyApp.json";
-import Config from "./config.json";
+import FlightSuretyData from "../../build/contracts/FlightSuretyData.json";
+import Deployments from "../shared/deployments.json";
 import Web3 from "web3";
 import express from "express";
+import { loadSettings } from "./settings";
+import { registerOracles, submitResponse } from "./fleet";
+import { assignProviders } from "./providers";
+import { createApi } from "./api";
+import { createIndexer, normalizeEvent } from "./indexer";
+import { createSender } from "./sender";
+import { createRequestTracker } from "./requests";
+import { createResponder } from "./responder";
+import { createServerMetrics } from "./metrics";
+import { logEvent } from "./log";
+import {
+	loadDeployment,
+	networkFromEnv,
+	verifyDeployment,
+} from "../shared/deployment";
 
 const app = express();
 
-const ORACLE_COUNT = 1;
-
-// contract event codes
-const STATUS_CODE_UNKNOWN = 0;
-const STATUS_CODE_ON_TIME = 10;
-const STATUS_CODE_LATE_AIRLINE = 20;
-const STATUS_CODE_LATE_WEATHER = 30;
-const STATUS_CODE_LATE_TECHNICAL = 40;
-const STATUS_CODE_LATE_OTHER = 50;
-
-const STATUS_CODES = [
-	STATUS_CODE_UNKNOWN,
-	STATUS_CODE_ON_TIME,
-	STATUS_CODE_LATE_AIRLINE,
-	STATUS_CODE_LATE_WEATHER,
-	STATUS_CODE_LATE_TECHNICAL,
-	STATUS_CODE_LATE_OTHER,
-	STATUS_CODE_LATE_OTHER,
-];
-
-const config = Config["localhost"];
-
-const web3 = new Web3(
-	new Web3.providers.WebsocketProvider(config.url.replace("http", "ws"))
+const settings = loadSettings();
+
+const config = loadDeployment(Deployments, networkFromEnv(process.env), [
+	FlightSuretyApp,
+	FlightSuretyData,
+]);
+
+if (!config.url) {
+	throw new Error(`No node url for the "${config.network}" deployment`);
+}
+
+const provider = new Web3.providers.WebsocketProvider(
+	config.url.replace("http", "ws"),
+	{ reconnect: { auto: true, delay: 5000 } }
 );
+const web3 = new Web3(provider);
 
 web3.eth.defaultAccount = web3.eth.accounts[0];
 
-const gas = 450000;
-
 const flightSuretyApp = new web3.eth.Contract(
 	FlightSuretyApp.abi,
 	config.appAddress
 );
 
-let accounts = [];
+const flightSuretyData = new web3.eth.Contract(
+	FlightSuretyData.abi,
+	config.dataAddress
+);
+
+const indexer = createIndexer({
+	web3,
+	flightSuretyApp,
+	dataDir: settings.dataDir,
+	fromBlock: config.deploymentBlock,
+	pageSize: settings.backfill.pageSize,
+});
+
+const metrics = createServerMetrics({ web3, indexer });
+
+provider.on("reconnect", (attempt) => {
+	metrics.reconnects.inc();
+	logEvent("node.reconnect", {
+		level: "warn",
+		url: config.url,
+		attempt: attempt,
+	});
+});
+
+const sender = createSender({ web3, settings });
+
+const requests = createRequestTracker({
+	web3,
+	flightSuretyApp,
+	indexer,
+	settings,
+	onFinalized: (request) =>
+		metrics.consensus.observe(request.finalizedAt - request.openedAt),
+});
+
 let oracles = [];
 
-function sleep(time) {
-	return new Promise((r) => setTimeout(r, time));
-}
+async function respond(oracle, request) {
+	let statusCode;
+
+	try {
+		statusCode = await oracle.provider.getStatus(request);
+	} catch (error) {
+		metrics.failures.inc({ reason: "no status" });
+		logEvent("oracle.response", {
+			level: "error",
+			outcome: "no-status",
+			account: oracle.account,
+			index: request.index,
+			airline: request.airline,
+			flight: request.flight,
+			timestamp: request.timestamp,
+			provider: oracle.provider.name,
+			error: error.message,
+		});
+		return;
+	}
 
-function getRandomInt(max) {
-	return Math.floor(Math.random() * max);
-}
+	const result = await submitResponse(
+		sender,
+		flightSuretyApp,
+		oracle,
+		request,
+		statusCode
+	);
+
+	if (result.outcome === "mined") {
+		metrics.responses.inc({ oracle: oracle.account, status: statusCode });
+	} else if (result.outcome === "stale") {
+		metrics.stale.inc();
+	} else if (result.outcome === "reverted") {
+		metrics.failures.inc({ reason: result.reason });
+	} else {
+		metrics.failures.inc({ reason: "retries exhausted" });
+	}
 
-async function registerOracles() {
-	accounts = await web3.eth.getAccounts();
+	return result;
+}
 
-	let fee = await flightSuretyApp.methods.REGISTRATION_FEE().call();
+// A deregistered oracle has no indexes left, its responses would revert
+function dropOracle(account) {
+	const remaining = oracles.filter((oracle) => oracle.account !== account);
 
-	for (let a = 1; a <= ORACLE_COUNT; a++) {
-		if (typeof accounts[a] != "undefined") {
-			const gasAmount = await flightSuretyApp.methods
-				.registerOracle()
-				.estimateGas({ from: accounts[a], value: fee, gas: gas });
+	if (remaining.length === oracles.length) {
+		return;
+	}
 
-			await flightSuretyApp.methods
-				.registerOracle()
-				.send({ from: accounts[a], value: fee, gas: gasAmount });
+	oracles = remaining;
+	metrics.oracles.set(oracles.length);
+	logEvent("oracle.deregistered", {
+		level: "warn",
+		account: account,
+		oracles: oracles.length,
+	});
+}
 
-			let result = await flightSuretyApp.methods
-				.getMyIndexes()
-				.call({ from: accounts[a] });
+const responder = createResponder({
+	web3,
+	flightSuretyApp,
+	indexer,
+	requests,
+	oracles: () => oracles,
+	respond,
+});
 
-			console.log(
-				`Oracle Registered: ${a} , ${accounts[a]}, ${result[0]}, ${result[1]}, ${result[2]}`
-			);
+// Every contract event is logged as one line, the requests are answered
+function onEvent(result) {
+	indexer.add(result);
+	logEvent("contract.event", {
+		level: "info",
+		name: result.event,
+		blockNumber: result.blockNumber,
+		transactionHash: result.transactionHash,
+		values: normalizeEvent(result).values,
+	});
 
-			oracles.push({ account: accounts[a], indexes: result });
-		}
+	if (result.event === "OracleRequest") {
+		metrics.requests.inc();
+		responder.answer(result.returnValues);
+	} else if (result.event === "OracleDeregistered") {
+		dropOracle(result.returnValues.oracle);
 	}
 }
 
-flightSuretyApp.events.OracleRequest(
-	{
-		fromBlock: "latest",
-	},
-	function (error, result) {
-		if (error) {
-			console.log(error);
-			return;
-		}
-		console.log(
-			`\nOracle Requested: index: ${result.returnValues.index}, flight:  ${result.returnValues.flight}, timestamp: ${result.returnValues.timestamp}`
-		);
-		for (let i = 0; i < oracles.length; i++) {
-			if (oracles[i].indexes.includes(result.returnValues.index)) {
-				const statusCode = STATUS_CODES[getRandomInt(STATUS_CODES.length)];
-				console.log(
-					`submitOracleResponse from ${oracles[i].account}, for index ${result.returnValues.index} with code ${statusCode}`
-				);
-				try {
-					flightSuretyApp.methods
-						.submitOracleResponse(
-							result.returnValues.index,
-							result.returnValues.airline,
-							result.returnValues.flight,
-							result.returnValues.timestamp,
-							statusCode
-						)
-						.send({ from: oracles[i].account, gas: gas });
-				} catch (e) {
-					console.log("Error submitOracleResponse: ", e.message);
-				}
-			}
-		}
+// Set once the live subscription runs, backfills after reconnecting
+let subscription = null;
+
+function subscribe(fromBlock) {
+	subscription = flightSuretyApp.events
+		.allEvents({
+			fromBlock: fromBlock,
+		})
+		.on("connected", function (subscriptionId) {
+			logEvent("subscription.connected", {
+				level: "info",
+				id: subscriptionId,
+				fromBlock: fromBlock,
+			});
+		})
+		.on("data", onEvent)
+		.on("changed", function (result) {
+			indexer.remove(result);
+		})
+		.on("error", function (error) {
+			logEvent("subscription.error", {
+				level: "error",
+				error: error.message,
+			});
+		});
+}
+
+provider.on("connect", () => {
+	if (subscription) {
+		responder.backfill().catch((error) => {
+			logEvent("oracle.backfill", { level: "error", error: error.message });
+		});
 	}
-);
+});
 
-flightSuretyApp.events
-	.allEvents(
-		{
-			fromBlock: "latest",
-		},
-		function (error, result) {
-			if (error) {
-				console.info("allEvents error", error);
-			}
-		}
-	)
-	.on("connected", function (subscriptionId) {
-		console.info("connected: ", subscriptionId);
-	})
-	.on("data", function (result) {
-		console.log(result); // same results as the optional callback above
-		if (result.event === "OracleRequest") {
-			console.log(
-				`\nOracle Requested: index: ${result.returnValues.index}, flight:  ${result.returnValues.flight}, timestamp: ${result.returnValues.timestamp}`
-			);
-		} else if (result.event == "FlightStatusInfo") {
-			console.info(
-				`\nFlight Status Available: flight: ${
-					result.returnValues.flight
-				}, timestamp: ${result.returnValues.timestamp}, status: ${
-					result.returnValues.status == 10 ? "ON TIME" : "DELAYED"
-				}`
-			);
-		} else if (result.event == "OracleReport") {
-			console.info(
-				`\nOracle Report: flight: ${result.returnValues.flight}, timestamp: ${
-					result.returnValues.timestamp
-				}, status: ${result.returnValues.status == 10 ? "ON TIME" : "DELAYED"}`
-			);
-		} else if (result.event == "InsurancePurchased") {
-			console.info(
-				`\nInsurancePurchased for Passenger: ${result.returnValues.paxAddress} ,Flight: ${result.returnValues.flight}, Amount: ${result.returnValues.amount} ETH`
-			);
-		} else {
-			console.log("unknown event ", result);
-		}
+app.get("/metrics", metrics.registry.handler);
+
+app.use(
+	"/api",
+	createApi({
+		web3,
+		flightSuretyApp,
+		flightSuretyData,
+		indexer,
+		requests,
+		fleet: () => oracles.map((oracle) => oracle.account),
 	})
-	.on("changed", function (result) {
-		// remove event from local database
+);
+
+// The live subscription starts after the backfill, from the block after
+// the checkpoint, so that nothing falls in between
+verifyDeployment(web3, config)
+	.then(() => {
+		logEvent("server.deployment", {
+			level: "info",
+			network: config.network,
+			app: config.appAddress,
+			data: config.dataAddress,
+		});
+
+		return registerOracles(web3, flightSuretyApp, settings);
 	})
-	.on("error", function (error, receipt) {
-		// If the transaction was rejected by the network with a receipt, the second parameter will be the receipt.
-		console.error(error);
-	});
+	.then((registered) => {
+		registered.forEach((oracle) =>
+			metrics.registrations.inc({ outcome: oracle.registration })
+		);
+		metrics.oracles.set(registered.length);
+		oracles = assignProviders(settings, registered);
+		logEvent("oracle.fleet", { level: "info", oracles: oracles.length });
 
-app.get("/api", (req, res) => {
-	res.send({
-		message: "An API for use with your Dapp!",
+		return responder.backfill();
+	})
+	.then(() => subscribe(indexer.lastBlock() + 1))
+	.catch((error) => {
+		logEvent("server.setup", { level: "error", error: error.message });
 	});
-});
-
-registerOracles().finally(() => {
-	console.log(oracles);
-});
 
 export default app;
@@ -0,0 +1,121 @@
+import fs from "fs";
+
+// Defaults match ganache-cli.sh, which starts 40 accounts. The dapp uses the
+// first eleven, so the oracle fleet is taken from the upper half.
+const DEFAULTS = {
+	oracles: {
+		count: 20,
+		firstAccount: 20,
+		// Fleet-wide flight status provider, see ./providers
+		provider: { type: "random" },
+		// Per-oracle providers keyed by account address
+		providers: {},
+	},
+	gas: {
+		// Upper bound for the estimated gas of oracle transactions
+		limit: 450000,
+		price: null,
+	},
+	// Retries of oracle transactions that fail for transient reasons, the
+	// backoff (ms) doubles with every attempt
+	tx: {
+		retries: 3,
+		backoff: 1000,
+	},
+	requests: {
+		// Seconds an oracle request may wait for consensus before it is
+		// reported as timed out
+		timeout: 300,
+		// Account (by position) the simulator requests flight statuses from
+		requester: 0,
+	},
+	// Blocks per getPastEvents call when the server catches up with the
+	// events it missed while it was down
+	backfill: {
+		pageSize: 1000,
+	},
+	dataDir: "data",
+};
+
+const DEFAULT_CONFIG_FILE = "oracle.config.json";
+
+function merge(target, source) {
+	Object.keys(source).forEach((key) => {
+		const value = source[key];
+
+		if (value && typeof value === "object" && !Array.isArray(value)) {
+			target[key] = merge({ ...target[key] }, value);
+		} else if (value !== undefined) {
+			target[key] = value;
+		}
+	});
+
+	return target;
+}
+
+function toNumber(value) {
+	return value === undefined || value === "" ? undefined : Number(value);
+}
+
+function readConfigFile(env) {
+	const file = env.ORACLE_CONFIG || DEFAULT_CONFIG_FILE;
+
+	if (!fs.existsSync(file)) {
+		if (env.ORACLE_CONFIG) {
+			throw new Error(`Oracle config file ${file} does not exist`);
+		}
+		return {};
+	}
+
+	return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+/**
+ * Oracle server settings: defaults, overridden by the JSON file named in
+ * ORACLE_CONFIG (or ./oracle.config.json), overridden by single env vars
+ */
+export function loadSettings(env = process.env) {
+	const settings = merge(merge({}, DEFAULTS), readConfigFile(env));
+
+	merge(settings, {
+		oracles: {
+			count: toNumber(env.ORACLE_COUNT),
+			firstAccount: toNumber(env.ORACLE_FIRST_ACCOUNT),
+			provider: {
+				type: env.ORACLE_PROVIDER,
+				file: env.ORACLE_SCHEDULE_FILE,
+				url: env.ORACLE_PROVIDER_URL,
+			},
+		},
+		gas: {
+			limit: toNumber(env.ORACLE_GAS_LIMIT),
+			price: env.ORACLE_GAS_PRICE,
+		},
+		tx: {
+			retries: toNumber(env.ORACLE_TX_RETRIES),
+			backoff: toNumber(env.ORACLE_TX_BACKOFF),
+		},
+		requests: {
+			timeout: toNumber(env.ORACLE_REQUEST_TIMEOUT),
+			requester: toNumber(env.ORACLE_REQUESTER_ACCOUNT),
+		},
+		backfill: {
+			pageSize: toNumber(env.ORACLE_BACKFILL_PAGE_SIZE),
+		},
+		dataDir: env.DATA_DIR,
+	});
+
+	if (!(settings.oracles.count > 0) || !(settings.oracles.firstAccount >= 0)) {
+		throw new Error("Oracle count and first account must be positive numbers");
+	}
+
+	if (!(settings.tx.retries >= 0) || !(settings.tx.backoff >= 0)) {
+		throw new Error("Transaction retries and backoff must be positive numbers");
+	}
+
+	if (!(settings.backfill.pageSize >= 1)) {
+		throw new Error("The backfill page size must be at least one block");
+	}
+
+	return settings;
+}
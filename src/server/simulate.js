@@ -0,0 +1,353 @@
+import FlightSuretyApp from "../../build/contracts/FlightSuretyApp.json";
+import FlightSuretyData from "../../build/contracts/FlightSuretyData.json";
+import Deployments from "../shared/deployments.json";
+import Web3 from "web3";
+import { loadSettings } from "./settings";
+import { invitedOracles, registerOracles, submitResponse } from "./fleet";
+import { createSender } from "./sender";
+import { table } from "./format";
+import { assignProfiles, parseProfileMix } from "./profiles";
+import {
+	STATUS_CODES,
+	STATUS_CODE_LATE_AIRLINE,
+	isStatusCode,
+} from "./statusCodes";
+import {
+	loadDeployment,
+	networkFromEnv,
+	verifyDeployment,
+} from "../shared/deployment";
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+Registers oracles and fires fetchFlightStatus requests at them, every oracle
+answering according to its behaviour profile, then reports how often the
+correct status was finalized and how the stakes of the profiles fared.
+
+  --requests <n>         requests to fire (10)
+  --profiles <mix>       profile counts, e.g. honest=14,colluding=3,silent=3;
+                         oracles left over are honest. Profiles: honest,
+                         always-late, random, silent, delayed, colluding
+  --collude <code>       status code colluding oracles agree on (20)
+  --delay <ms>           how long delayed oracles wait before answering (5000)
+  --truth <code>         actual status of every flight, random by default
+  --oracles <n>          oracles to register (settings oracles.count)
+  --first-account <n>    first oracle account (settings oracles.firstAccount)
+
+The first airline of the deployment registers the simulated flights, its
+account must be unlocked on the node.
+
+Stop the oracle server first, or point the simulator at other accounts, so
+that the server's oracles do not answer the same requests.`;
+
+function parseArgs(argv) {
+	const args = {};
+
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i] === "--help") {
+			args.help = true;
+		} else if (argv[i].startsWith("--") && i + 1 < argv.length) {
+			args[argv[i].slice(2)] = argv[++i];
+		} else {
+			throw new Error(`Unexpected argument ${argv[i]}\n\n${USAGE}`);
+		}
+	}
+
+	return args;
+}
+
+function toStatusCode(value, name) {
+	if (!isStatusCode(value)) {
+		throw new Error(
+			`${name} must be one of the status codes ${STATUS_CODES.join(", ")}`
+		);
+	}
+	return Number(value);
+}
+
+function percent(count, total) {
+	return total ? `${Math.round((count / total) * 100)}%` : "-";
+}
+
+// The answer of one oracle, nothing is sent for a silent one
+async function answer(sender, flightSuretyApp, oracle, request, truth) {
+	const statusCode = await oracle.provider.getStatus(request, truth);
+
+	if (statusCode === null) {
+		return { outcome: "silent" };
+	}
+
+	return submitResponse(sender, flightSuretyApp, oracle, request, statusCode);
+}
+
+async function simulate(args) {
+	const settings = loadSettings();
+	const config = loadDeployment(Deployments, networkFromEnv(process.env), [
+		FlightSuretyApp,
+		FlightSuretyData,
+	]);
+
+	if (args.oracles !== undefined) {
+		settings.oracles.count = Number(args.oracles);
+	}
+	if (args["first-account"] !== undefined) {
+		settings.oracles.firstAccount = Number(args["first-account"]);
+	}
+
+	const requestCount = Number(args.requests || 10);
+	const mix = parseProfileMix(args.profiles || "honest=0");
+	const profileOptions = {
+		status: toStatusCode(
+			args.collude === undefined ? STATUS_CODE_LATE_AIRLINE : args.collude,
+			"--collude"
+		),
+		delay: Number(args.delay || 5000),
+	};
+	const truthFor = () =>
+		args.truth === undefined
+			? STATUS_CODES[Math.floor(Math.random() * STATUS_CODES.length)]
+			: toStatusCode(args.truth, "--truth");
+
+	const web3 = new Web3(config.url);
+	await verifyDeployment(web3, config);
+
+	const flightSuretyApp = new web3.eth.Contract(
+		FlightSuretyApp.abi,
+		config.appAddress
+	);
+	const sender = createSender({ web3, settings });
+	const oracles = assignProfiles(
+		await registerOracles(web3, flightSuretyApp, settings),
+		mix,
+		profileOptions
+	);
+	const accounts = await web3.eth.getAccounts();
+	const requester = accounts[settings.requests.requester];
+	const fromBlock = await web3.eth.getBlockNumber();
+	// Registered flights must depart in the future
+	const timestamp = Math.floor(Date.now() / 1000) + 24 * 60 * 60;
+
+	// Flights of their own, so that earlier runs and real flights do not
+	// finalize anything for this one. The first airline registers them.
+	const requests = [];
+	const answers = [];
+
+	for (let n = 1; n <= requestCount; n++) {
+		const flight = `SIM ${fromBlock}-${n}`;
+		const registration = await sender.send(
+			config.firstAirline,
+			flightSuretyApp.methods.registerFlight(
+				flight,
+				timestamp,
+				config.firstAirline
+			),
+			"simulation.flight",
+			{ flight: flight }
+		);
+
+		if (registration.outcome !== "mined") {
+			throw new Error(
+				`registerFlight failed: ${registration.reason || registration.error}`
+			);
+		}
+
+		const result = await sender.send(
+			requester,
+			flightSuretyApp.methods.fetchFlightStatus(
+				config.firstAirline,
+				flight,
+				timestamp
+			),
+			"simulation.request",
+			{ flight: flight }
+		);
+
+		if (result.outcome !== "mined") {
+			throw new Error(
+				`fetchFlightStatus failed: ${result.reason || result.error}`
+			);
+		}
+
+		const request = result.receipt.events.OracleRequest.returnValues;
+		const truth = truthFor();
+		const invited = invitedOracles(oracles, request.index);
+
+		requests.push({
+			flight: flight,
+			index: request.index,
+			truth: truth,
+			invited: invited,
+		});
+		invited.forEach((oracle) => {
+			answers.push(
+				answer(sender, flightSuretyApp, oracle, request, truth).catch(
+					(error) => ({ outcome: "failed", error: error.message })
+				)
+			);
+		});
+	}
+
+	await Promise.all(answers);
+
+	const results = await flightSuretyApp.getPastEvents("FlightStatusInfo", {
+		fromBlock: fromBlock + 1,
+		toBlock: "latest",
+	});
+
+	// Stakes and earnings after the run, the contract settles the reports
+	// of each consensus
+	for (const oracle of oracles) {
+		oracle.stats = await flightSuretyApp.methods
+			.getOracle(oracle.account)
+			.call();
+	}
+
+	return { web3, oracles, requests, results };
+}
+
+// "6 honest, 2 colluding:20" for a list of oracles
+function profileCounts(oracles) {
+	const counts = {};
+
+	oracles.forEach((oracle) => {
+		counts[oracle.provider.name] = (counts[oracle.provider.name] || 0) + 1;
+	});
+
+	return Object.keys(counts)
+		.sort()
+		.map((name) => `${counts[name]} ${name}`)
+		.join(", ");
+}
+
+// Stake, earnings and settled reports of the oracles, per profile
+function stakeRows(web3, oracles) {
+	const profiles = new Map();
+
+	oracles.forEach((oracle) => {
+		const name = oracle.provider.name;
+		const row = profiles.get(name) || {
+			oracles: 0,
+			stake: web3.utils.toBN(0),
+			earnings: web3.utils.toBN(0),
+			matched: 0,
+			disputed: 0,
+			deregistered: 0,
+		};
+
+		row.oracles++;
+		row.stake = row.stake.add(web3.utils.toBN(oracle.stats.stake));
+		row.earnings = row.earnings.add(web3.utils.toBN(oracle.stats.earnings));
+		row.matched += Number(oracle.stats.matched);
+		row.disputed += Number(oracle.stats.disputed);
+		row.deregistered += oracle.stats.isRegistered ? 0 : 1;
+		profiles.set(name, row);
+	});
+
+	const ether = (value) => web3.utils.fromWei(value, "ether");
+
+	return [
+		[
+			"profile",
+			"oracles",
+			"stake ETH",
+			"earnings ETH",
+			"matched",
+			"disputed",
+			"deregistered",
+		],
+		...Array.from(profiles.keys())
+			.sort()
+			.map((name) => {
+				const row = profiles.get(name);
+
+				return [
+					name,
+					row.oracles,
+					ether(row.stake),
+					ether(row.earnings),
+					row.matched,
+					row.disputed,
+					row.deregistered,
+				];
+			}),
+	];
+}
+
+function report({ web3, oracles, requests, results }) {
+	const summary = { correct: 0, wrong: 0, none: 0, repeated: 0 };
+	const rows = [
+		["flight", "index", "truth", "invited", "finalized", "outcome"],
+	];
+
+	requests.forEach((request) => {
+		// Every FlightStatusInfo of the request, the first one decides
+		const finalized = results
+			.filter((result) => result.returnValues.flight === request.flight)
+			.map((result) => Number(result.returnValues.status));
+		let outcome = "none";
+
+		if (finalized.length) {
+			outcome = finalized[0] === request.truth ? "correct" : "wrong";
+		}
+		if (finalized.length > 1) {
+			summary.repeated++;
+		}
+		summary[outcome]++;
+
+		rows.push([
+			request.flight,
+			request.index,
+			request.truth,
+			profileCounts(request.invited),
+			finalized.join(",") || "-",
+			outcome,
+		]);
+	});
+
+	const total = requests.length;
+
+	console.log(
+		`\nOracle simulation: ${oracles.length} oracles (${profileCounts(
+			oracles
+		)}), ${total} requests\n`
+	);
+	console.log(table(rows));
+	console.log(
+		`\ncorrect ${summary.correct}/${total} (${percent(
+			summary.correct,
+			total
+		)}), wrong ${summary.wrong}/${total} (${percent(
+			summary.wrong,
+			total
+		)}), none ${summary.none}/${total} (${percent(summary.none, total)})`
+	);
+	if (summary.repeated) {
+		console.log(
+			`${summary.repeated} requests were finalized more than once, the first status counts`
+		);
+	}
+
+	console.log(`\nStakes after the run, reports count since registration\n`);
+	console.log(table(stakeRows(web3, oracles)));
+}
+
+let args;
+
+try {
+	args = parseArgs(process.argv.slice(2));
+} catch (error) {
+	console.error(error.message);
+	process.exit(2);
+}
+
+if (args.help) {
+	console.log(USAGE);
+} else {
+	simulate(args)
+		.then(report)
+		.then(() => process.exit(0))
+		.catch((error) => {
+			console.error(`Simulation failed: ${error.message}`);
+			process.exit(1);
+		});
+}
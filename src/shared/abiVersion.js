@@ -0,0 +1,26 @@
+const Web3 = require("web3");
+
+/**
+ * Fingerprint of the contract ABIs a deployment was made with, built from
+ * the signatures only since web3 decorates ABI entries it has seen.
+ *
+ * CommonJS, so that the migration and scripts/upgradeApp.js can require it
+ * in Truffle while the dapp and the server import it through their bundles.
+ */
+function abiVersion(artifacts) {
+	const types = (params) => (params || []).map((param) => param.type).join();
+	const signatures = artifacts.map((artifact) =>
+		artifact.abi.map(
+			(entry) =>
+				`${entry.type} ${entry.name || ""}(${types(entry.inputs)})(${types(
+					entry.outputs
+				)})`
+		)
+	);
+
+	return Web3.utils.sha3(JSON.stringify(signatures)).slice(0, 18);
+}
+
+module.exports = {
+	abiVersion: abiVersion,
+};
@@ -0,0 +1,73 @@
+import { abiVersion } from "./abiVersion";
+
+export const DEFAULT_NETWORK = "development";
+
+export class DeploymentError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "DeploymentError";
+	}
+}
+
+export function networkFromEnv(env) {
+	return env.FLIGHTSURETY_NETWORK || DEFAULT_NETWORK;
+}
+
+export function networkFromUrl(location) {
+	return new URLSearchParams(location.search).get("network") || DEFAULT_NETWORK;
+}
+
+/**
+ * Picks the entry for a Truffle network from deployments.json, written by
+ * migrations/2_deploy_contracts.js, and checks it was made with the ABIs of
+ * the artifacts (FlightSuretyApp first, then FlightSuretyData) in use now
+ */
+export function loadDeployment(deployments, network, artifacts) {
+	const deployment = deployments[network];
+	const migrate = `truffle migrate --network ${network}`;
+
+	if (!deployment) {
+		const known = Object.keys(deployments);
+
+		throw new DeploymentError(
+			`FlightSurety is not deployed on network "${network}"${
+				known.length ? ` (deployed on: ${known.join(", ")})` : ""
+			}, run ${migrate}`
+		);
+	}
+
+	if (deployment.abiVersion !== abiVersion(artifacts)) {
+		throw new DeploymentError(
+			`The "${network}" deployment is stale, the contracts changed since it was migrated, run ${migrate}`
+		);
+	}
+
+	return deployment;
+}
+
+/**
+ * Checks that the node web3 talks to is on the deployment's chain and
+ * still has the contracts, which is not the case after a ganache restart
+ */
+export async function verifyDeployment(web3, deployment) {
+	const chainId = await web3.eth.getChainId();
+
+	if (Number(chainId) !== Number(deployment.chainId)) {
+		throw new DeploymentError(
+			`Connected to chain ${chainId}, the "${deployment.network}" deployment is on chain ${deployment.chainId}`
+		);
+	}
+
+	const [appCode, dataCode] = await Promise.all([
+		web3.eth.getCode(deployment.appAddress),
+		web3.eth.getCode(deployment.dataAddress),
+	]);
+
+	if (appCode === "0x" || dataCode === "0x") {
+		throw new DeploymentError(
+			`The "${deployment.network}" deployment is stale, there are no contracts at its addresses, run truffle migrate --network ${deployment.network}`
+		);
+	}
+
+	return deployment;
+}
@@ -0,0 +1,65 @@
+// Error(string) and Panic(uint256) selectors, as found in revert data
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+// Providers put the revert data in different places of the error
+function revertData(error) {
+	let data = error && error.data;
+	let candidates = [
+		data,
+		data && data.data,
+		data && data.result,
+		data && data.originalError && data.originalError.data,
+		error && error.error && error.error.data,
+	];
+
+	return candidates.find(
+		(candidate) => typeof candidate == "string" && candidate.startsWith("0x")
+	);
+}
+
+function decodeRevertData(data) {
+	if (!data) {
+		return null;
+	}
+
+	if (data.startsWith(PANIC_SELECTOR)) {
+		return "Panic";
+	}
+
+	if (!data.startsWith(ERROR_SELECTOR)) {
+		return null;
+	}
+
+	// selector, offset of the string, its length, then the UTF-8 bytes
+	let hex = data.slice(10);
+	let length = parseInt(hex.slice(64, 128), 16);
+	let bytes = new Uint8Array(length);
+
+	for (let i = 0; i < length; i++) {
+		bytes[i] = parseInt(hex.substr(128 + i * 2, 2), 16);
+	}
+
+	return new TextDecoder().decode(bytes);
+}
+
+/**
+ * The revert string of a failed call or transaction, or null when the
+ * error does not come from a require() in the contracts
+ */
+export function revertReason(error) {
+	if (error && error.reason) {
+		return error.reason;
+	}
+
+	let decoded = decodeRevertData(revertData(error));
+	if (decoded) {
+		return decoded;
+	}
+
+	let message = (error && error.message) || "";
+	// "VM Exception ... revert <reason>" or "execution reverted: <reason>"
+	let match = /(?:revert|reverted:)\s+(.+?)"?$/m.exec(message);
+
+	return match ? match[1].trim() : null;
+}
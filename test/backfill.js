@@ -0,0 +1,255 @@
+var fs = require("fs");
+var path = require("path");
+var Test = require("../config/testConfig.js");
+
+var { createRequestTracker } = Test.requireServer("requests");
+var { createResponder } = Test.requireServer("responder");
+
+contract("Backfill", async (accounts) => {
+	const FIRST_ORACLE = 10;
+	const STATUS_CODE_ON_TIME = 10;
+
+	var config;
+	var app;
+	var oracles = [];
+	var index = Test.indexFixture(() => ({ flightSuretyApp: app }));
+
+	before("setup contract", async () => {
+		config = await Test.Config(accounts);
+		await config.flightSuretyData.authorizeContract(
+			config.flightSuretyApp.address
+		);
+		app = config.flightSuretyApp.contract;
+
+		let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+
+		for (let a = FIRST_ORACLE; a < accounts.length; a++) {
+			await config.flightSuretyApp.registerOracle({
+				from: accounts[a],
+				value: fee,
+			});
+			let indexes = await config.flightSuretyApp.getMyIndexes.call({
+				from: accounts[a],
+			});
+
+			// As the server's fleet keeps them
+			oracles.push({
+				account: accounts[a],
+				indexes: indexes.map((index) => index.toString()),
+			});
+		}
+	});
+
+	// The checkpoint the indexer saved
+	function savedCheckpoint() {
+		let store = JSON.parse(
+			fs.readFileSync(path.join(index.dataDir, "events.json"), "utf-8")
+		);
+
+		return { lastBlock: store.lastBlock, events: store.events.length };
+	}
+
+	// Registers flights of the first airline, one block each, answers the
+	// block of the first
+	async function registerFlights(prefix, count) {
+		let timestamp = Math.floor(Date.now() / 1000) + 30 * 24 * 3600;
+		let blocks = [];
+
+		for (let n = 1; n <= count; n++) {
+			let tx = await config.flightSuretyApp.registerFlight(
+				`${prefix}${n}`,
+				timestamp,
+				config.firstAirline,
+				{ from: config.firstAirline }
+			);
+			blocks.push(tx.receipt.blockNumber);
+		}
+
+		return { timestamp: timestamp, fromBlock: blocks[0] };
+	}
+
+	it("catches up in pages and saves the checkpoint", async () => {
+		let { fromBlock } = await registerFlights("PG", 5);
+		let latest = await web3.eth.getBlockNumber();
+		let pages = [];
+		// Records the block range of every getPastEvents call
+		let paged = {
+			options: app.options,
+			getPastEvents(name, range) {
+				pages.push([range.fromBlock, range.toBlock]);
+				return app.getPastEvents(name, range);
+			},
+		};
+		let indexer = index.create({
+			flightSuretyApp: paged,
+			fromBlock: fromBlock,
+			pageSize: 2,
+		});
+
+		assert.equal(await indexer.sync(), 5, "Every flight was indexed");
+		assert.deepEqual(pages, [
+			[fromBlock, fromBlock + 1],
+			[fromBlock + 2, fromBlock + 3],
+			[fromBlock + 4, latest],
+		]);
+		assert.deepEqual(savedCheckpoint(), { lastBlock: latest, events: 5 });
+
+		// A restart reads from the block after the checkpoint
+		await registerFlights("PG-later", 1);
+		let restarted = index.create({ fromBlock: fromBlock });
+
+		assert.equal(restarted.lastBlock(), latest, "The checkpoint was kept");
+		assert.equal(await restarted.sync(), 1, "Only the new event was read");
+		assert.equal(restarted.count(), 6);
+	});
+
+	it("reads a block again when it stopped in the middle of it", async () => {
+		let { timestamp } = await registerFlights("MID", 1);
+		let tx = await config.flightSuretyApp.fetchFlightStatus(
+			config.firstAirline,
+			"MID1",
+			timestamp
+		);
+		let request = tx.logs[0].args;
+		let invited = oracles.filter((oracle) =>
+			oracle.indexes.includes(request.index.toString())
+		);
+
+		assert.isAtLeast(invited.length, 3, "Not enough oracles for the index");
+
+		// The third report emits OracleReport and FlightStatusInfo in one block
+		for (let oracle of invited.slice(0, 3)) {
+			tx = await config.flightSuretyApp.submitOracleResponse(
+				request.index,
+				config.firstAirline,
+				"MID1",
+				timestamp,
+				STATUS_CODE_ON_TIME,
+				{ from: oracle.account }
+			);
+		}
+		let block = tx.receipt.blockNumber;
+		let [report, consensus] = await app.getPastEvents("allEvents", {
+			fromBlock: block,
+			toBlock: block,
+		});
+
+		assert.equal(consensus.event, "FlightStatusInfo");
+
+		// The live subscription delivered the first event, then the server
+		// stopped
+		let indexer = index.create({ fromBlock: block });
+
+		indexer.add(report);
+		indexer.save();
+		assert.deepEqual(savedCheckpoint(), { lastBlock: block - 1, events: 1 });
+
+		let restarted = index.create({ fromBlock: block });
+
+		await restarted.sync();
+		assert.deepEqual(
+			restarted.find().map((record) => record.event),
+			["OracleReport", "FlightStatusInfo"],
+			"The rest of the block was read"
+		);
+		assert.equal(restarted.lastBlock(), await web3.eth.getBlockNumber());
+	});
+
+	it("resumes an interrupted backfill after the last saved page", async () => {
+		let { fromBlock } = await registerFlights("INT", 4);
+		let calls = 0;
+		// The connection drops while the second page is read
+		let dropping = {
+			options: app.options,
+			getPastEvents(name, range) {
+				if (++calls == 2) {
+					return Promise.reject(new Error("CONNECTION ERROR"));
+				}
+				return app.getPastEvents(name, range);
+			},
+		};
+		let indexer = index.create({
+			flightSuretyApp: dropping,
+			fromBlock: fromBlock,
+			pageSize: 2,
+		});
+
+		try {
+			await indexer.sync();
+			assert.fail("The backfill should have been interrupted");
+		} catch (e) {
+			assert.equal(e.message, "CONNECTION ERROR");
+		}
+		assert.deepEqual(savedCheckpoint(), {
+			lastBlock: fromBlock + 1,
+			events: 2,
+		});
+
+		let restarted = index.create({ fromBlock: fromBlock, pageSize: 2 });
+
+		assert.equal(await restarted.sync(), 2, "The first page is not read again");
+		assert.deepEqual(
+			restarted.find().map((record) => record.flight),
+			["INT1", "INT2", "INT3", "INT4"]
+		);
+	});
+
+	it("answers an open request once per invited oracle", async () => {
+		let fromBlock = (await web3.eth.getBlockNumber()) + 1;
+		let { timestamp } = await registerFlights("ANS", 1);
+		let tx = await config.flightSuretyApp.fetchFlightStatus(
+			config.firstAirline,
+			"ANS1",
+			timestamp
+		);
+		let request = tx.logs[0].args;
+		let invited = oracles.filter((oracle) =>
+			oracle.indexes.includes(request.index.toString())
+		);
+
+		assert.isAtLeast(invited.length, 2, "Not enough oracles for the index");
+
+		// Answered while the server was down
+		await config.flightSuretyApp.submitOracleResponse(
+			request.index,
+			config.firstAirline,
+			"ANS1",
+			timestamp,
+			STATUS_CODE_ON_TIME,
+			{ from: invited[0].account }
+		);
+
+		let indexer = index.create({ fromBlock: fromBlock });
+		let sent = [];
+		let responder = createResponder({
+			web3: web3,
+			flightSuretyApp: app,
+			indexer: indexer,
+			requests: createRequestTracker({
+				web3: web3,
+				flightSuretyApp: app,
+				indexer: indexer,
+				settings: { requests: { timeout: 300 } },
+			}),
+			oracles: () => oracles,
+			respond: (oracle) => sent.push(oracle.account),
+		});
+
+		let result = await responder.backfill();
+
+		assert.equal(result.events, 3, "Flight, request and report");
+		assert.deepEqual(
+			sent,
+			invited.slice(1).map((oracle) => oracle.account),
+			"The oracle that already reported is left out"
+		);
+
+		// The live subscription delivers the same request, and the connection
+		// comes back with another backfill
+		let live = (await app.getPastEvents("OracleRequest", { fromBlock }))[0];
+
+		assert.equal(responder.answer(live.returnValues), 0);
+		assert.equal((await responder.backfill()).answers, 0);
+		assert.equal(sent.length, invited.length - 1, "Nobody answered twice");
+	});
+});
@@ -1,4 +1,5 @@
 var Test = require("../config/testConfig.js");
+var FlightSuretyApp = artifacts.require("FlightSuretyApp");
 
 contract("Flight Surety Tests", async (accounts) => {
 	const TEN_ETHER = web3.utils.toWei("10", "ether");
@@ -13,6 +14,10 @@ contract("Flight Surety Tests", async (accounts) => {
 	const PASSENGER_1 = accounts[7];
 	const PASSENGER_2 = accounts[8];
 
+	const STATUS_CODE_LATE_AIRLINE = 20;
+	const STATUS_CODE_LATE_WEATHER = 30;
+	const STATUS_CODE_LATE_TECHNICAL = 40;
+
 	var config;
 	before("setup contract", async () => {
 		config = await Test.Config(accounts);
@@ -21,49 +26,64 @@ contract("Flight Surety Tests", async (accounts) => {
 		);
 	});
 
-	it(`(multiparty) has correct initial isOperational() value`, async function () {
-		let status = await config.flightSuretyData.isOperational.call();
-		assert.equal(status, true, "Incorrect initial operating status value");
-	});
+	// Block time of the chain, tests move it ahead of the clock
+	async function chainTime() {
+		let block = await web3.eth.getBlock("latest");
 
-	it(`(multiparty) can block access to setOperatingStatus() for non-Contract Owner account`, async function () {
-		let accessDenied = false;
+		return Number(block.timestamp);
+	}
+
+	async function revertReason(promise) {
 		try {
-			await config.flightSuretyData.setOperatingStatus(false, {
-				from: config.testAddresses[2],
-			});
+			await promise;
 		} catch (e) {
-			accessDenied = true;
+			return e.message;
 		}
-		assert.equal(accessDenied, true, "Access not restricted to Contract Owner");
+		return "";
+	}
+
+	it(`(multiparty) has correct initial isOperational() value`, async function () {
+		let status = await config.flightSuretyData.isOperational.call();
+		assert.equal(status, true, "Incorrect initial operating status value");
 	});
 
-	it(`(multiparty) can allow access to setOperatingStatus() for Contract Owner account`, async function () {
-		let accessDenied = false;
-		try {
-			await config.flightSuretyData.setOperatingStatus(false);
-		} catch (e) {
-			accessDenied = true;
-		}
+	it(`(multiparty) only approved airlines vote on the operating status`, async function () {
 		assert.equal(
-			accessDenied,
-			false,
-			"Access not restricted to Contract Owner"
+			config.flightSuretyData.setOperatingStatus,
+			undefined,
+			"The owner should not set the operating status alone"
 		);
-	});
 
-	it(`(multiparty) can block access to functions using requireIsOperational when operating status is false`, async function () {
-		await config.flightSuretyData.setOperatingStatus(false);
+		let reason = await revertReason(
+			config.flightSuretyApp.voteOperatingStatus(false, {
+				from: config.owner,
+			})
+		);
+		assert.include(
+			reason,
+			"Caller is not an approved airline",
+			"Only approved airlines vote"
+		);
 
-		let reverted = false;
-		try {
-			await config.flightSurety.setTestingMode(true);
-		} catch (e) {
-			reverted = true;
-		}
-		assert.equal(reverted, true, "Access not blocked for requireIsOperational");
+		reason = await revertReason(
+			config.flightSuretyData.voteOperatingStatus(false, config.firstAirline)
+		);
+		assert.include(
+			reason,
+			"Caller is not an authorized contract",
+			"Votes go through the app"
+		);
 
-		await config.flightSuretyData.setOperatingStatus(true);
+		reason = await revertReason(
+			config.flightSuretyApp.voteOperatingStatus(true, {
+				from: config.firstAirline,
+			})
+		);
+		assert.include(
+			reason,
+			"Contract is already in this operating status",
+			"An operational contract cannot be resumed"
+		);
 	});
 
 	it("(airline) can register Airline its not approved", async () => {
@@ -196,9 +216,268 @@ contract("Flight Surety Tests", async (accounts) => {
 		);
 	});
 
+	it("(airline) lists approved and waiting airlines with their state", async () => {
+		const airlines = await config.flightSuretyData.getAirlines.call();
+
+		assert.equal(
+			airlines.approved.length,
+			5,
+			"There should be 5 approved airlines"
+		);
+		assert.deepEqual(
+			airlines.waiting,
+			[AIRLINE_6],
+			"AIRLINE_6 should be waiting"
+		);
+
+		const airline = await config.flightSuretyData.getAirline.call(AIRLINE_6);
+
+		assert.equal(airline.name, "AIRLINE_6", "Name does not match");
+		assert.equal(airline.fundedValue, TEN_ETHER, "Funded value does not match");
+		assert.equal(airline.isApproved, false, "Airline should not be approved");
+		assert.equal(airline.votes, 1, "Airline should have one vote");
+
+		const fromApp = await config.flightSuretyApp.getAirline.call(AIRLINE_6);
+
+		assert.equal(fromApp.votes, 1, "App should read the same airline");
+	});
+
+	it(`(multiparty) half of the approved airlines pause the contract`, async function () {
+		let app = config.flightSuretyApp;
+		let tx = await app.voteOperatingStatus(false, {
+			from: config.firstAirline,
+		});
+		let vote = tx.logs[0].args;
+
+		assert.equal(tx.logs[0].event, "OperatingStatusVoted", "Vote not emitted");
+		assert.equal(vote.votes, 1, "One vote should be counted");
+		assert.equal(vote.required, 3, "3 of 5 airlines should be required");
+		assert.equal(
+			await app.isOperational(),
+			true,
+			"One airline should not pause the contract"
+		);
+
+		let reason = await revertReason(
+			app.voteOperatingStatus(false, { from: config.firstAirline })
+		);
+		assert.include(
+			reason,
+			"Airline has already voted on this proposal",
+			"Airlines vote once"
+		);
+
+		await app.voteOperatingStatus(false, { from: AIRLINE_2 });
+		tx = await app.voteOperatingStatus(false, { from: AIRLINE_3 });
+
+		assert.equal(
+			tx.logs[1].event,
+			"OperatingStatusChanged",
+			"The change should be emitted"
+		);
+		assert.equal(await app.isOperational(), false, "Contract not paused");
+
+		let proposal = await app.getOperatingStatusProposal(vote.proposal);
+		assert.equal(proposal.isDecided, true, "Proposal should be decided");
+		assert.deepEqual(
+			proposal.voters,
+			[config.firstAirline, AIRLINE_2, AIRLINE_3],
+			"Voters do not match"
+		);
+
+		reason = await revertReason(
+			app.fundAirline({ from: AIRLINE_6, value: TEN_ETHER })
+		);
+		assert.include(
+			reason,
+			"Contract is currently not operational",
+			"Access not blocked for requireIsOperational"
+		);
+	});
+
+	it(`(multiparty) resuming the contract needs votes of its own`, async function () {
+		let app = config.flightSuretyApp;
+
+		await app.voteOperatingStatus(true, { from: AIRLINE_2 });
+		await app.voteOperatingStatus(true, { from: AIRLINE_4 });
+		assert.equal(
+			await app.isOperational(),
+			false,
+			"Two airlines should not resume the contract"
+		);
+
+		await app.voteOperatingStatus(true, { from: AIRLINE_5 });
+		assert.equal(await app.isOperational(), true, "Contract not resumed");
+		assert.equal(
+			await app.getOperatingStatusProposalCount(),
+			2,
+			"Pausing and resuming are separate proposals"
+		);
+	});
+
+	it(`(multiparty) proposals expire after a day`, async function () {
+		let app = config.flightSuretyApp;
+		let timeout =
+			await config.flightSuretyData.OPERATING_STATUS_VOTE_TIMEOUT.call();
+
+		await app.voteOperatingStatus(false, { from: AIRLINE_2 });
+		await app.voteOperatingStatus(false, { from: AIRLINE_3 });
+		await Test.increaseTime(Number(timeout));
+
+		let tx = await app.voteOperatingStatus(false, { from: AIRLINE_4 });
+
+		assert.equal(tx.logs[0].args.proposal, 3, "A new proposal should open");
+		assert.equal(tx.logs[0].args.votes, 1, "Votes should start over");
+		assert.equal(
+			(await app.getOperatingStatusProposal(2)).isOpen,
+			false,
+			"The expired proposal should be closed"
+		);
+		assert.equal(await app.isOperational(), true, "Contract was paused");
+
+		// Leaves nothing open for the tests below
+		await Test.increaseTime(Number(timeout));
+	});
+
+	it("(flight) registered flights are listed in the catalog", async () => {
+		let timestamp = (await chainTime()) + 3600;
+
+		let tx = await config.flightSuretyApp.registerFlight(
+			"UL 301",
+			timestamp,
+			AIRLINE_2,
+			{ from: AIRLINE_2 }
+		);
+		await config.flightSuretyApp.registerFlight(
+			"UL 302",
+			timestamp,
+			AIRLINE_2,
+			{
+				from: AIRLINE_2,
+			}
+		);
+
+		let event = tx.logs.find((log) => log.event == "FlightRegistered");
+		assert.exists(event, "FlightRegistered should be emitted");
+		assert.equal(event.args.airline, AIRLINE_2, "Event airline does not match");
+		assert.equal(event.args.flight, "UL 301", "Event flight does not match");
+		assert.equal(
+			event.args.timestamp,
+			timestamp,
+			"Event timestamp does not match"
+		);
+
+		let reverted = false;
+		try {
+			await config.flightSuretyApp.registerFlight(
+				"UL 301",
+				timestamp,
+				AIRLINE_2,
+				{ from: AIRLINE_2 }
+			);
+		} catch (e) {
+			reverted = e.message.includes("Flight is already registered");
+		}
+		assert.equal(reverted, true, "A flight should only be registered once");
+
+		let count = await config.flightSuretyApp.getFlightCount.call();
+		assert.equal(count, 2, "There should be 2 flights");
+
+		let flight = await config.flightSuretyApp.getFlight.call(1);
+		assert.equal(flight.airline, AIRLINE_2, "Airline does not match");
+		assert.equal(flight.flight, "UL 302", "Flight does not match");
+		assert.equal(flight.timestamp, timestamp, "Timestamp does not match");
+		assert.equal(flight.statusCode, 0, "Status should be unknown");
+
+		let status = await config.flightSuretyApp.getFlightStatus.call(
+			AIRLINE_2,
+			"UL 301",
+			timestamp
+		);
+		let block = await web3.eth.getBlock(tx.receipt.blockNumber);
+		assert.equal(status.isRegistered, true, "Flight should be registered");
+		assert.equal(status.statusCode, 0, "Status should be unknown");
+		assert.equal(
+			status.updatedTimestamp,
+			block.timestamp,
+			"Updated timestamp should be the registration time"
+		);
+	});
+
+	it("(flight) only approved airlines register their own flights", async () => {
+		let timestamp = (await chainTime()) + 3600;
+		let reason = null;
+
+		try {
+			await config.flightSuretyApp.registerFlight(
+				"UL 601",
+				timestamp,
+				AIRLINE_6,
+				{ from: AIRLINE_6 }
+			);
+		} catch (e) {
+			reason = e.message;
+		}
+		assert.include(
+			reason || "",
+			"Caller is not an approved airline",
+			"An airline waiting for approval should not register flights"
+		);
+
+		reason = null;
+		try {
+			await config.flightSuretyApp.registerFlight(
+				"UL 303",
+				timestamp,
+				AIRLINE_2,
+				{ from: config.firstAirline }
+			);
+		} catch (e) {
+			reason = e.message;
+		}
+		assert.include(
+			reason || "",
+			"Airlines can only register their own flights",
+			"An airline should not register flights of another airline"
+		);
+
+		reason = null;
+		try {
+			await config.flightSuretyApp.registerFlight(
+				"UL 304",
+				(await chainTime()) - 3600,
+				AIRLINE_2,
+				{ from: AIRLINE_2 }
+			);
+		} catch (e) {
+			reason = e.message;
+		}
+		assert.include(
+			reason || "",
+			"Flight departs in the past",
+			"Flights in the past should not be registered"
+		);
+	});
+
+	// Registers a flight of AIRLINE_2 departing in an hour
+	async function registerFlight(flightNo) {
+		let timestamp = (await chainTime()) + 3600;
+
+		await config.flightSuretyApp.registerFlight(
+			flightNo,
+			timestamp,
+			AIRLINE_2,
+			{
+				from: AIRLINE_2,
+			}
+		);
+
+		return timestamp;
+	}
+
 	it("buy insurance for a flight", async () => {
 		let flightNo = "A";
-		let timestamp = Math.floor(Date.now() / 1000);
+		let timestamp = await registerFlight(flightNo);
 
 		await config.flightSuretyApp.buyInsurance(AIRLINE_2, flightNo, timestamp, {
 			from: PASSENGER_1,
@@ -215,9 +494,102 @@ contract("Flight Surety Tests", async (accounts) => {
 		assert.equal(insurances?.value, ONE_ETHER, "Premium does not match");
 	});
 
+	it("buying again tops up the policy to at most 1 ether", async () => {
+		let flightNo = "B";
+		let timestamp = await registerFlight(flightNo);
+		let half = web3.utils.toWei("0.5", "ether");
+
+		await config.flightSuretyApp.buyInsurance(AIRLINE_2, flightNo, timestamp, {
+			from: PASSENGER_1,
+			value: half,
+		});
+		await config.flightSuretyApp.buyInsurance(AIRLINE_2, flightNo, timestamp, {
+			from: PASSENGER_1,
+			value: web3.utils.toWei("0.3", "ether"),
+		});
+
+		let insurance = await config.flightSuretyData.getInsurance(
+			AIRLINE_2,
+			flightNo,
+			timestamp,
+			PASSENGER_1
+		);
+		assert.equal(
+			insurance.value,
+			web3.utils.toWei("0.8", "ether"),
+			"Premiums should add up in one policy"
+		);
+
+		let reason = await revertReason(
+			config.flightSuretyApp.buyInsurance(AIRLINE_2, flightNo, timestamp, {
+				from: PASSENGER_1,
+				value: half,
+			})
+		);
+		assert.include(
+			reason,
+			"Insurance exceeds the maximum coverage",
+			"A top-up should not exceed 1 ether"
+		);
+
+		reason = await revertReason(
+			config.flightSuretyApp.buyInsurance(AIRLINE_2, flightNo, timestamp, {
+				from: PASSENGER_1,
+				value: 0,
+			})
+		);
+		assert.include(
+			reason,
+			"Insurance premium is required",
+			"A purchase should pay a premium"
+		);
+	});
+
+	it("cannot insure unregistered or departed flights", async () => {
+		let reason = await revertReason(
+			config.flightSuretyApp.buyInsurance(
+				AIRLINE_2,
+				"UL 999",
+				(await chainTime()) + 3600,
+				{ from: PASSENGER_1, value: ONE_ETHER }
+			)
+		);
+		assert.include(
+			reason,
+			"Flight is not registered",
+			"Unregistered flights should not be insured"
+		);
+
+		// A flight departing in a minute, then two minutes pass
+		let block = await web3.eth.getBlock("latest");
+		let timestamp = Number(block.timestamp) + 60;
+
+		await config.flightSuretyApp.registerFlight(
+			"UL 998",
+			timestamp,
+			AIRLINE_2,
+			{
+				from: AIRLINE_2,
+			}
+		);
+		await Test.increaseTime(120);
+
+		reason = await revertReason(
+			config.flightSuretyApp.buyInsurance(AIRLINE_2, "UL 998", timestamp, {
+				from: PASSENGER_1,
+				value: ONE_ETHER,
+			})
+		);
+		assert.include(
+			reason,
+			"Flight has already departed",
+			"Departed flights should not be insured"
+		);
+	});
+
 	it("test credit all insurees for delayed flight", async () => {
 		let flightNo = "C";
-		let timestamp = Math.floor(Date.now() / 1000);
+		let timestamp = await registerFlight(flightNo);
 
 		await config.flightSuretyApp.buyInsurance(AIRLINE_2, flightNo, timestamp, {
 			from: PASSENGER_2,
@@ -227,17 +599,26 @@ contract("Flight Surety Tests", async (accounts) => {
 		await config.flightSuretyData.creditInsurees(
 			AIRLINE_2,
 			flightNo,
-			timestamp
+			timestamp,
+			STATUS_CODE_LATE_AIRLINE
 		);
 
 		let payout = await config.flightSuretyData.isPayoutAvailable(PASSENGER_2);
 
 		assert.equal(payout, true, "Insurance not credited");
+
+		let amount = await config.flightSuretyData.getPayout(PASSENGER_2);
+
+		assert.equal(
+			amount.toString(),
+			web3.utils.toWei("1.5", "ether"),
+			"Payout should be 1.5 times the premium"
+		);
 	});
 
 	it("test passenger withdraws insurance", async () => {
 		let flightNo = "D";
-		let timestamp = Math.floor(Date.now() / 1000);
+		let timestamp = await registerFlight(flightNo);
 		let airline = AIRLINE_2;
 		let pax = PASSENGER_2;
 
@@ -246,15 +627,391 @@ contract("Flight Surety Tests", async (accounts) => {
 			value: ONE_ETHER,
 		});
 		await config.flightSuretyData.authorizeContract(accounts[0]);
-		await config.flightSuretyData.creditInsurees(airline, flightNo, timestamp);
+		await config.flightSuretyData.creditInsurees(
+			airline,
+			flightNo,
+			timestamp,
+			STATUS_CODE_LATE_AIRLINE
+		);
 
 		let payout = await config.flightSuretyData.isPayoutAvailable(pax);
 		assert.equal(payout, true, "No payout available");
 
-		await config.flightSuretyApp.withdrawPayout({ from: pax });
+		let insurance = await config.flightSuretyApp.getInsurance(
+			airline,
+			flightNo,
+			timestamp,
+			pax
+		);
+		assert.equal(insurance.paidOut, true, "Policy should be marked paid out");
+		assert.equal(
+			await config.flightSuretyApp.isPayoutAvailable(pax),
+			true,
+			"App should report the payout"
+		);
+
+		let amount = await config.flightSuretyApp.getPayout(pax);
+		let receipt = await config.flightSuretyApp.withdrawPayout({ from: pax });
+
+		assert.equal(
+			receipt.logs[0].args.value.toString(),
+			amount.toString(),
+			"PayoutWithdrawn should report the credited amount"
+		);
 
 		payout = await config.flightSuretyData.isPayoutAvailable(pax);
 
 		assert.equal(payout, false, "Withdrawal failed");
 	});
+
+	it("(policy) new policy terms apply to new policies only", async () => {
+		let app = config.flightSuretyApp;
+		let data = config.flightSuretyData;
+		let toWei = (value) => web3.utils.toWei(value, "ether");
+		let buy = (passenger, flightNo, timestamp, value) =>
+			app.buyInsurance(AIRLINE_2, flightNo, timestamp, {
+				from: passenger,
+				value: toWei(value),
+			});
+		// Credited payout of a passenger, before and after crediting a flight
+		let credit = async (passenger, flightNo, timestamp, statusCode) => {
+			let before = await data.getPayout(passenger);
+			await data.creditInsurees(AIRLINE_2, flightNo, timestamp, statusCode);
+			return (await data.getPayout(passenger)).sub(before).toString();
+		};
+		// 2x when the airline is late, half back for technical delays
+		let percents = [0, 0, 200, 0, 50, 0];
+
+		let reason = await revertReason(
+			app.setPolicyTerms(percents, toWei("2"), { from: PASSENGER_1 })
+		);
+		assert.include(
+			reason,
+			"Caller is not contract owner",
+			"Only the owner sets policy terms"
+		);
+
+		let late = await registerFlight("E");
+		await buy(PASSENGER_1, "E", late, "0.5");
+
+		let tx = await app.setPolicyTerms(percents, toWei("2"));
+		assert.equal(
+			tx.logs[0].event,
+			"PolicyTermsChanged",
+			"PolicyTermsChanged should be emitted"
+		);
+		assert.equal(tx.logs[0].args.version, 1, "Terms version does not match");
+		assert.equal(await app.getPolicyTermsCount(), 2, "Terms not added");
+
+		let terms = await app.getPolicyTerms(1);
+		assert.deepEqual(
+			terms.payoutPercents.map(Number),
+			percents,
+			"Payouts do not match"
+		);
+		assert.equal(terms.maxCoverage, toWei("2"), "Coverage does not match");
+
+		// The earlier policy keeps its 1 ether coverage and 1.5x payout
+		reason = await revertReason(buy(PASSENGER_1, "E", late, "0.6"));
+		assert.include(
+			reason,
+			"Insurance exceeds the maximum coverage",
+			"A top-up keeps the terms of the policy"
+		);
+		await buy(PASSENGER_2, "E", late, "2");
+
+		let insurance = await app.getInsurance(AIRLINE_2, "E", late, PASSENGER_2);
+		assert.equal(insurance.terms, 1, "New policies get the new terms");
+
+		assert.equal(
+			await credit(PASSENGER_1, "E", late, STATUS_CODE_LATE_AIRLINE),
+			toWei("0.75"),
+			"The earlier policy pays 1.5 times the premium"
+		);
+		assert.equal(
+			await credit(PASSENGER_2, "E", late, STATUS_CODE_LATE_AIRLINE),
+			"0",
+			"Policies are only credited once"
+		);
+		assert.equal(
+			(await data.getPayout(PASSENGER_2)).toString(),
+			toWei("4"),
+			"The new policy pays 2 times the premium"
+		);
+
+		let technical = await registerFlight("F");
+		await buy(PASSENGER_1, "F", technical, "1");
+		assert.equal(
+			await credit(PASSENGER_1, "F", technical, STATUS_CODE_LATE_TECHNICAL),
+			toWei("0.5"),
+			"Technical delays pay half the premium"
+		);
+
+		let weather = await registerFlight("G");
+		await buy(PASSENGER_1, "G", weather, "1");
+		assert.equal(
+			await credit(PASSENGER_1, "G", weather, STATUS_CODE_LATE_WEATHER),
+			"0",
+			"Weather delays do not pay out"
+		);
+		insurance = await app.getInsurance(AIRLINE_2, "G", weather, PASSENGER_1);
+		assert.equal(insurance.paidOut, false, "Policy should not be paid out");
+	});
+
+	it("(solvency) refuses policies the capital cannot back", async () => {
+		let app = config.flightSuretyApp;
+		let data = config.flightSuretyData;
+		let toWei = (value) => web3.utils.toWei(value, "ether");
+		let toBN = web3.utils.toBN;
+
+		let report = await data.getSolvency();
+		assert.equal(
+			report.capital.add(report.premiums).sub(report.withdrawn).toString(),
+			await web3.eth.getBalance(data.address),
+			"Capital and premiums less withdrawals should be the balance"
+		);
+
+		// Policies under the 2x terms of the previous test
+		let covered = await registerFlight("H");
+		await app.buyInsurance(AIRLINE_2, "H", covered, {
+			from: PASSENGER_1,
+			value: toWei("1"),
+		});
+
+		let flight = await data.getFlightExposure(AIRLINE_2, "H", covered);
+		assert.equal(
+			flight.insuredValue,
+			toWei("1"),
+			"Insured value does not match"
+		);
+		assert.equal(flight.exposure, toWei("2"), "Exposure should be 2x");
+
+		let after = await data.getSolvency();
+		assert.equal(
+			after.exposure.sub(report.exposure).toString(),
+			toWei("2"),
+			"Total exposure should grow by the flight's exposure"
+		);
+		assert.equal(
+			after.backing.sub(report.backing).toString(),
+			toWei("1"),
+			"The premium adds to the backing capital"
+		);
+
+		// 600x the premium is more than the capital can back
+		await app.setPolicyTerms([0, 0, 60000, 0, 0, 0], toWei("1"));
+		let uncovered = await registerFlight("I");
+		let reason = await revertReason(
+			app.buyInsurance(AIRLINE_2, "I", uncovered, {
+				from: PASSENGER_1,
+				value: toWei("0.5"),
+			})
+		);
+		assert.include(
+			reason,
+			"Exposure exceeds the backing capital",
+			"The purchase should be refused"
+		);
+
+		await data.creditInsurees(
+			AIRLINE_2,
+			"H",
+			covered,
+			STATUS_CODE_LATE_AIRLINE
+		);
+
+		let settled = await data.getSolvency();
+		assert.equal(
+			settled.exposure.toString(),
+			report.exposure.toString(),
+			"The flight's exposure should be released"
+		);
+		assert.equal(
+			settled.credited.sub(after.credited).toString(),
+			toWei("2"),
+			"The payout should be credited"
+		);
+		assert.equal(
+			after.backing.sub(settled.backing).toString(),
+			toWei("2"),
+			"Credited payouts are set aside from the backing capital"
+		);
+		assert.equal(
+			toBN(await web3.eth.getBalance(data.address))
+				.sub(settled.credited)
+				.toString(),
+			settled.backing.toString(),
+			"The backing capital is the balance less credited payouts"
+		);
+	});
+
+	it("(solvency) flights together cannot owe more than the capital", async () => {
+		let app = config.flightSuretyApp;
+		let data = config.flightSuretyData;
+		let toWei = (value) => web3.utils.toWei(value, "ether");
+		let toBN = web3.utils.toBN;
+
+		// Each 1 ether policy adds 10 ether of exposure and its premium, so
+		// every flight takes 9 ether of the free capital
+		await app.setPolicyTerms([0, 0, 1000, 0, 0, 0], toWei("1"));
+
+		let report = await data.getSolvency();
+		let fits = report.backing
+			.sub(report.exposure)
+			.div(toBN(toWei("9")))
+			.toNumber();
+		let flights = [];
+
+		for (let i = 0; i < fits; i++) {
+			let timestamp = await registerFlight(`K${i}`);
+
+			await app.buyInsurance(AIRLINE_2, `K${i}`, timestamp, {
+				from: PASSENGER_2,
+				value: toWei("1"),
+			});
+			flights.push({ flight: `K${i}`, timestamp: timestamp });
+		}
+
+		let over = await registerFlight("K-over");
+		let reason = await revertReason(
+			app.buyInsurance(AIRLINE_2, "K-over", over, {
+				from: PASSENGER_2,
+				value: toWei("1"),
+			})
+		);
+		assert.include(
+			reason,
+			"Exposure exceeds the backing capital",
+			"The flight that over-commits the capital should be refused"
+		);
+		assert.isAbove(fits, 1, "Several flights should share the capital");
+
+		for (let { flight, timestamp } of flights) {
+			await data.creditInsurees(
+				AIRLINE_2,
+				flight,
+				timestamp,
+				STATUS_CODE_LATE_AIRLINE
+			);
+		}
+
+		let settled = await data.getSolvency();
+		assert.equal(
+			settled.credited.sub(report.credited).toString(),
+			toWei(String(10 * fits)),
+			"Every flight should pay out in full"
+		);
+		assert.isTrue(
+			toBN(await web3.eth.getBalance(data.address)).gte(settled.credited),
+			"The balance should cover the credited payouts"
+		);
+	});
+
+	// Replaces the app, later tests would need the new one
+	it("(upgrade) a new app takes over the data and locks the old one out", async () => {
+		let data = config.flightSuretyData;
+		let oldApp = config.flightSuretyApp;
+		let toWei = (value) => web3.utils.toWei(value, "ether");
+
+		let app = await FlightSuretyApp.new(data.address);
+		await data.authorizeContract(app.address);
+
+		let reason = await revertReason(
+			app.importFlights(oldApp.address, 0, 100, { from: PASSENGER_1 })
+		);
+		assert.include(
+			reason,
+			"Caller is not contract owner",
+			"Only the owner imports flights"
+		);
+
+		let count = Number(await oldApp.getFlightCount());
+		let tx = await app.importFlights(oldApp.address, 0, 3);
+		await app.importFlights(oldApp.address, 0, 100);
+
+		assert.equal(
+			tx.logs.filter((log) => log.event === "FlightRegistered").length,
+			3,
+			"Imported flights should be announced"
+		);
+		assert.equal(
+			Number(await app.getFlightCount()),
+			count,
+			"Every flight should be imported once"
+		);
+
+		let settled = await oldApp.getFlight(count - 2);
+		let imported = await app.getFlight(count - 2);
+		assert.equal(imported.flight, settled.flight, "Flight does not match");
+		assert.equal(
+			imported.statusCode.toString(),
+			settled.statusCode.toString(),
+			"Status should be carried over"
+		);
+		assert.equal(
+			imported.updatedTimestamp.toString(),
+			settled.updatedTimestamp.toString(),
+			"Last update should be carried over"
+		);
+
+		await data.deauthorizeContract(oldApp.address);
+
+		assert.equal(
+			await oldApp.isOperational(),
+			false,
+			"The old app should not be operational"
+		);
+
+		// "K-over" was refused by the solvency check, it has no status yet
+		let flight = await oldApp.getFlight(count - 1);
+		assert.equal(flight.flight, "K-over", "Unexpected last flight");
+
+		reason = await revertReason(
+			oldApp.buyInsurance(AIRLINE_2, flight.flight, flight.timestamp, {
+				from: PASSENGER_2,
+				value: toWei("0.1"),
+			})
+		);
+		assert.include(
+			reason,
+			"App is not authorized by the data contract",
+			"The old app should not sell insurance"
+		);
+
+		reason = await revertReason(
+			oldApp.registerFlight("J", flight.timestamp, AIRLINE_2, {
+				from: AIRLINE_2,
+			})
+		);
+		assert.include(
+			reason,
+			"App is not authorized by the data contract",
+			"The old app should not register flights"
+		);
+
+		reason = await revertReason(oldApp.fundAirline({ from: AIRLINE_3 }));
+		assert.include(
+			reason,
+			"App is not authorized by the data contract",
+			"The old app should not take airline funds"
+		);
+
+		await app.setPolicyTerms([0, 0, 150, 0, 0, 0], ONE_ETHER);
+		await app.buyInsurance(AIRLINE_2, flight.flight, flight.timestamp, {
+			from: PASSENGER_2,
+			value: toWei("0.1"),
+		});
+
+		let insurance = await app.getInsurance(
+			AIRLINE_2,
+			flight.flight,
+			flight.timestamp,
+			PASSENGER_2
+		);
+		assert.equal(
+			insurance.value,
+			toWei("0.1"),
+			"The new app should sell insurance"
+		);
+	});
 });
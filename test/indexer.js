@@ -0,0 +1,108 @@
+var Test = require("../config/testConfig.js");
+
+contract("Event indexer", async (accounts) => {
+	var config;
+
+	before("setup contract", async () => {
+		config = await Test.Config(accounts);
+		await config.flightSuretyData.authorizeContract(
+			config.flightSuretyApp.address
+		);
+	});
+
+	var index = Test.indexFixture(() => ({
+		flightSuretyApp: config.flightSuretyApp.contract,
+	}));
+
+	// "added ND1" and "removed ND1" for every change of the index
+	function watch(indexer) {
+		let changes = [];
+
+		indexer.subscribe((change) =>
+			changes.push(`${change.type} ${change.record.flight}`)
+		);
+		return changes;
+	}
+
+	// Registers a flight of the first airline, answers its block
+	async function registerFlight(flight) {
+		let timestamp = Math.floor(Date.now() / 1000) + 30 * 24 * 3600;
+		let tx = await config.flightSuretyApp.registerFlight(
+			flight,
+			timestamp,
+			config.firstAirline,
+			{ from: config.firstAirline }
+		);
+
+		return tx.receipt.blockNumber;
+	}
+
+	function eventsOf(blockNumber) {
+		return config.flightSuretyApp.contract.getPastEvents("allEvents", {
+			fromBlock: blockNumber,
+			toBlock: blockNumber,
+		});
+	}
+
+	function flights(indexer) {
+		return indexer.find().map((record) => record.flight);
+	}
+
+	it("rolls back an event the node reports as removed", async () => {
+		let block = await registerFlight("RM1");
+		let indexer = index.create({ fromBlock: block });
+		let changes = watch(indexer);
+
+		await indexer.sync();
+		let [event] = await eventsOf(block);
+
+		indexer.add({ ...event, removed: true });
+
+		assert.deepEqual(flights(indexer), [], "The event should be rolled back");
+		assert.equal(
+			indexer.lastBlock(),
+			block - 1,
+			"The block of the event should be read again"
+		);
+
+		await indexer.sync();
+
+		assert.deepEqual(flights(indexer), ["RM1"], "The event is still mined");
+		assert.deepEqual(changes, ["added RM1", "removed RM1", "added RM1"]);
+	});
+
+	it("drops the events of a block replaced by another", async () => {
+		let snapshot = await Test.rpc("evm_snapshot");
+		let block = await registerFlight("RE1");
+		let indexer = index.create({ fromBlock: block });
+		let changes = watch(indexer);
+
+		await indexer.sync();
+
+		// The chain goes on from before RE1, another block takes its height
+		await Test.rpc("evm_revert", [snapshot]);
+		assert.equal(await registerFlight("RE2"), block, "Same block height");
+		let [event] = await eventsOf(block);
+
+		indexer.add(event);
+
+		assert.deepEqual(flights(indexer), ["RE2"], "RE1 left the chain");
+		assert.deepEqual(changes, ["added RE1", "removed RE1", "added RE2"]);
+	});
+
+	it("keeps the rollback when it restarts", async () => {
+		let block = await registerFlight("RS1");
+		let indexer = index.create({ fromBlock: block });
+
+		await indexer.sync();
+		let [event] = await eventsOf(block);
+
+		indexer.add({ ...event, removed: true });
+		indexer.save();
+
+		let restarted = index.create({ fromBlock: block });
+
+		assert.deepEqual(flights(restarted), [], "The rollback was saved");
+		assert.equal(restarted.lastBlock(), block - 1);
+	});
+});
@@ -0,0 +1,56 @@
+// Local stand-in for a flight data service, used with the oracle server's
+// http provider:
+//
+//   node test/mocks/flightDataServer.js [schedule.json] [port]
+//
+// GET /status?airline=..&flight=..&timestamp=.. answers { "status": code }
+// from the schedule (same format as the schedule provider), or the status
+// given by the DEFAULT_STATUS environment variable for unknown flights.
+const express = require("express");
+const fs = require("fs");
+
+function key(airline, flight, timestamp) {
+	return `${String(airline).toLowerCase()}|${flight}|${timestamp}`;
+}
+
+function createFlightDataServer(entries, defaultStatus) {
+	const app = express();
+	const schedule = new Map();
+
+	(entries || []).forEach((entry) => {
+		schedule.set(
+			key(entry.airline, entry.flight, entry.timestamp),
+			Number(entry.status)
+		);
+	});
+
+	app.get("/status", (req, res) => {
+		const { airline, flight, timestamp } = req.query;
+
+		if (!airline || !flight || !timestamp) {
+			res.status(400).send({ error: "airline, flight and timestamp required" });
+			return;
+		}
+
+		const status = schedule.get(key(airline, flight, timestamp));
+
+		res.send({ status: status === undefined ? defaultStatus : status });
+	});
+
+	return app;
+}
+
+module.exports = {
+	createFlightDataServer: createFlightDataServer,
+};
+
+if (require.main === module) {
+	const file = process.argv[2];
+	const port = Number(process.argv[3] || 4000);
+	const entries = file ? JSON.parse(fs.readFileSync(file, "utf-8")) : [];
+	const defaultStatus = Number(process.env.DEFAULT_STATUS || 10);
+
+	createFlightDataServer(entries, defaultStatus).listen(port, () => {
+		console.log(`Mock flight data on http://localhost:${port}/status`);
+	});
+}
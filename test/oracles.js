@@ -1,4 +1,5 @@
 var Test = require("../config/testConfig.js");
+var FlightSuretyApp = artifacts.require("FlightSuretyApp");
 //var BigNumber = require('bignumber.js');
 
 contract("Oracles", async (accounts) => {
@@ -14,6 +15,9 @@ contract("Oracles", async (accounts) => {
 	var config;
 	before("setup contract", async () => {
 		config = await Test.Config(accounts);
+		await config.flightSuretyData.authorizeContract(
+			config.flightSuretyApp.address
+		);
 
 		config.flightSuretyApp.contract.events
 			.allEvents(
@@ -93,10 +97,83 @@ contract("Oracles", async (accounts) => {
 		}
 	});
 
+	// Registered oracles holding the index of a request
+	async function invitedOracles(index) {
+		let invited = [];
+
+		for (let a = 1; a < TEST_ORACLES_COUNT; a++) {
+			if (typeof accounts[a] == "undefined") {
+				continue;
+			}
+			try {
+				let indexes = await config.flightSuretyApp.getMyIndexes.call({
+					from: accounts[a],
+				});
+				if (indexes.some((i) => i.toNumber() == index)) {
+					invited.push(accounts[a]);
+				}
+			} catch (e) {
+				// not registered
+			}
+		}
+
+		return invited;
+	}
+
+	function countEvents(tx, name) {
+		return tx.logs.filter((log) => log.event == name).length;
+	}
+
+	// Registers a flight of the first airline and requests its status,
+	// answers the request index and its invited oracles. The contract picks
+	// the index at random, and the oracles drew theirs at random: until the
+	// index is held by at least minimum oracles, another flight is asked
+	// about. Some index is held by enough of them for every test.
+	async function requestStatus(flight, minimum = 0) {
+		// Far enough ahead to stay in the future when tests move the time
+		let timestamp = Math.floor(Date.now() / 1000) + 30 * 24 * 3600;
+
+		for (let n = 1; n <= 100; n++) {
+			let name = n == 1 ? flight : `${flight}-${n}`;
+
+			await config.flightSuretyApp.registerFlight(
+				name,
+				timestamp,
+				config.firstAirline,
+				{ from: config.firstAirline }
+			);
+			let request = await config.flightSuretyApp.fetchFlightStatus(
+				config.firstAirline,
+				name,
+				timestamp
+			);
+			let index = request.logs[0].args.index.toNumber();
+			let invited = minimum ? await invitedOracles(index) : [];
+
+			if (invited.length >= minimum) {
+				return {
+					flight: name,
+					timestamp: timestamp,
+					index: index,
+					invited: invited,
+				};
+			}
+		}
+
+		assert.fail(`No request index is held by ${minimum} oracles`);
+	}
+
 	it("can request flight status", async () => {
 		let flight = "ND1309"; // Course number
-		let timestamp = Math.floor(Date.now() / 1000);
+		let timestamp = Math.floor(Date.now() / 1000) + 3600;
+		let finalized = 0;
 
+		await config.flightSuretyApp.registerFlight(
+			flight,
+			timestamp,
+			config.firstAirline,
+			{ from: config.firstAirline }
+		);
 		await config.flightSuretyApp.fetchFlightStatus(
 			config.firstAirline,
 			flight,
@@ -112,7 +189,8 @@ contract("Oracles", async (accounts) => {
 				for (let idx = 0; idx < 3; idx++) {
 					try {
 						// Submit a response...it will only be accepted if there is an Index match
-						await config.flightSuretyApp.submitOracleResponse(
+						// and the request did not reach consensus yet
+						let tx = await config.flightSuretyApp.submitOracleResponse(
 							oracleIndexes[idx],
 							config.firstAirline,
 							flight,
@@ -120,6 +198,7 @@ contract("Oracles", async (accounts) => {
 							STATUS_CODE_ON_TIME,
 							{ from: accounts[a] }
 						);
+						finalized += countEvents(tx, "FlightStatusInfo");
 					} catch (e) {
 						console.log("\nError", e.message);
 						console.log(
@@ -133,5 +212,516 @@ contract("Oracles", async (accounts) => {
 				}
 			}
 		}
+
+		assert.equal(finalized, 1, "Flight status should be finalized once");
+	});
+
+	// Flight finalized by the next test
+	let finalFlight;
+
+	it("finalizes a request once and keeps later responses as stale", async () => {
+		let request = await requestStatus("ND1310", 6);
+		let { flight, timestamp, index, invited } = request;
+
+		finalFlight = request;
+
+		let finalized = 0;
+		for (let i = 0; i < 3; i++) {
+			let tx = await config.flightSuretyApp.submitOracleResponse(
+				index,
+				config.firstAirline,
+				flight,
+				timestamp,
+				STATUS_CODE_ON_TIME,
+				{ from: invited[i] }
+			);
+			finalized += countEvents(tx, "FlightStatusInfo");
+		}
+
+		assert.equal(finalized, 1, "Third matching report should finalize");
+
+		let state = await config.flightSuretyApp.getOracleRequest.call(
+			index,
+			config.firstAirline,
+			flight,
+			timestamp
+		);
+		assert.equal(state.isOpen, false, "Request should be closed");
+		assert.equal(state.isFinalized, true, "Request should be finalized");
+
+		// A late matching report and a contradicting majority are both stale
+		let late = 0;
+		for (let i = 3; i < 6; i++) {
+			let tx = await config.flightSuretyApp.submitOracleResponse(
+				index,
+				config.firstAirline,
+				flight,
+				timestamp,
+				i == 3 ? STATUS_CODE_ON_TIME : STATUS_CODE_LATE_OTHER,
+				{ from: invited[i] }
+			);
+			late += tx.logs.length;
+		}
+
+		assert.equal(late, 0, "Late responses should neither report nor finalize");
+
+		let status = await config.flightSuretyApp.getFlightStatus.call(
+			config.firstAirline,
+			flight,
+			timestamp
+		);
+		assert.equal(
+			status.statusCode,
+			STATUS_CODE_ON_TIME,
+			"Status should not be overwritten"
+		);
+	});
+
+	it("cannot insure a flight with a final status", async () => {
+		let reverted = false;
+
+		try {
+			await config.flightSuretyApp.buyInsurance(
+				config.firstAirline,
+				finalFlight.flight,
+				finalFlight.timestamp,
+				{ from: accounts[1], value: web3.utils.toWei("1", "ether") }
+			);
+		} catch (e) {
+			reverted = e.message.includes("Flight status is already final");
+		}
+
+		assert.equal(reverted, true, "Final flights should not be insured");
+	});
+
+	it("cannot request the status of a flight with a final status", async () => {
+		let reverted = false;
+
+		try {
+			await config.flightSuretyApp.fetchFlightStatus(
+				config.firstAirline,
+				finalFlight.flight,
+				finalFlight.timestamp
+			);
+		} catch (e) {
+			reverted = e.message.includes("Flight status is already final");
+		}
+
+		assert.equal(reverted, true, "Final flight status should not be requested");
+	});
+
+	// Oracle slashed for a report against the consensus, the next test
+	// deregisters it
+	let slashedOracle;
+
+	it("rewards reports matching the consensus and slashes the others", async () => {
+		let app = config.flightSuretyApp;
+		let toWei = (value) => web3.utils.toWei(value, "ether");
+
+		await app.fundOracleRewards({ from: accounts[0], value: toWei("1") });
+
+		let request = await requestStatus("ND1311", 4);
+		let invited = request.invited;
+		let respond = (oracle, status) =>
+			app.submitOracleResponse(
+				request.index,
+				config.firstAirline,
+				request.flight,
+				request.timestamp,
+				status,
+				{ from: oracle }
+			);
+
+		slashedOracle = invited[0];
+		await respond(slashedOracle, STATUS_CODE_LATE_OTHER);
+
+		let reverted = false;
+		try {
+			await respond(slashedOracle, STATUS_CODE_ON_TIME);
+		} catch (e) {
+			reverted = e.message.includes("Oracle has already responded");
+		}
+		assert.equal(reverted, true, "An oracle should only respond once");
+
+		let before = await app.getOracle.call(invited[1]);
+		let tx;
+		for (let i = 1; i <= 3; i++) {
+			tx = await respond(invited[i], STATUS_CODE_ON_TIME);
+		}
+
+		// The slashed 0.2 ether joins the pool before 10% of it is shared
+		let reward = toWei("0.04");
+		assert.equal(countEvents(tx, "OracleSlashed"), 1, "One report disagreed");
+		assert.equal(countEvents(tx, "OracleRewarded"), 3, "Three reports agreed");
+		assert.equal(
+			(await app.oracleRewardPool.call()).toString(),
+			toWei("1.08"),
+			"Rewards should be paid from the pool"
+		);
+
+		let slashed = await app.getOracle.call(slashedOracle);
+		assert.equal(slashed.stake.toString(), toWei("0.8"), "Stake not slashed");
+		assert.equal(slashed.disputed, 1, "Disputed report not counted");
+		assert.equal(slashed.isRegistered, true, "Oracle should stay registered");
+
+		let rewarded = await app.getOracle.call(invited[1]);
+		assert.equal(
+			rewarded.earnings.sub(before.earnings).toString(),
+			reward,
+			"Reward not credited"
+		);
+		assert.equal(
+			rewarded.matched.toNumber(),
+			before.matched.toNumber() + 1,
+			"Matching report not counted"
+		);
+
+		await app.withdrawOracleEarnings({ from: invited[1] });
+		rewarded = await app.getOracle.call(invited[1]);
+		assert.equal(rewarded.earnings, 0, "Earnings not withdrawn");
+	});
+
+	it("slashes oracles that miss requests and deregisters them below the minimum stake", async () => {
+		let app = config.flightSuretyApp;
+		let indexes = (await app.getOracle.call(slashedOracle)).indexes.map(
+			(index) => index.toNumber()
+		);
+		let timeout = (await app.ORACLE_RESPONSE_TIMEOUT.call()).toNumber();
+		let missed = 0;
+
+		// Requests the slashed oracle is invited to, left unanswered
+		for (let n = 0; missed < 2 && n < 50; n++) {
+			let request = await requestStatus(`ND15${n}`);
+
+			if (!indexes.includes(request.index)) {
+				continue;
+			}
+
+			let close = () =>
+				app.closeOracleRequest(
+					request.index,
+					config.firstAirline,
+					request.flight,
+					request.timestamp
+				);
+
+			if (missed == 0) {
+				let reverted = false;
+				try {
+					await close();
+				} catch (e) {
+					reverted = e.message.includes("Oracles can still answer the request");
+				}
+				assert.equal(reverted, true, "Requests close after the timeout");
+			}
+
+			await Test.increaseTime(timeout + 1);
+			await close();
+			missed++;
+		}
+
+		assert.equal(missed, 2, "The oracle was not invited often enough");
+
+		// 0.8 - 2 * 0.2 is below the 0.5 ether minimum
+		let oracle = await app.getOracle.call(slashedOracle);
+		assert.equal(oracle.missed, 2, "Missed requests not counted");
+		assert.equal(oracle.isRegistered, false, "Oracle should be deregistered");
+		assert.equal(oracle.stake, 0, "Stake should be returned");
+		assert.equal(
+			oracle.earnings.toString(),
+			web3.utils.toWei("0.4", "ether"),
+			"The rest of the stake should be withdrawable"
+		);
+
+		let reverted = false;
+		try {
+			await app.getMyIndexes.call({ from: slashedOracle });
+		} catch (e) {
+			reverted = e.message.includes("Not registered as an oracle");
+		}
+		assert.equal(reverted, true, "Deregistered oracles have no indexes");
+	});
+
+	it("does not reopen a request that is still open", async () => {
+		let app = config.flightSuretyApp;
+		let request = await requestStatus("ND1601");
+		let reason = "";
+
+		// Asked again until the request index comes up again, which would
+		// restart the timeout of the open request
+		for (let n = 0; !reason && n < 50; n++) {
+			try {
+				await app.fetchFlightStatus(
+					config.firstAirline,
+					request.flight,
+					request.timestamp
+				);
+			} catch (e) {
+				reason = e.message;
+			}
+			await Test.mine();
+		}
+
+		assert.include(
+			reason,
+			"Oracle request is already open",
+			"An open request should not be reopened"
+		);
+	});
+
+	it("starts a new round of reports when a closed request is asked again", async () => {
+		let app = config.flightSuretyApp;
+		let timeout = (await app.ORACLE_RESPONSE_TIMEOUT.call()).toNumber();
+		let request = await requestStatus("ND1600", 3);
+		let invited = request.invited;
+		let respond = (oracle) =>
+			app.submitOracleResponse(
+				request.index,
+				config.firstAirline,
+				request.flight,
+				request.timestamp,
+				STATUS_CODE_LATE_AIRLINE,
+				{ from: oracle }
+			);
+		let isFinalized = async () =>
+			(
+				await app.getOracleRequest.call(
+					request.index,
+					config.firstAirline,
+					request.flight,
+					request.timestamp
+				)
+			).isFinalized;
+
+		let [first, second] = invited;
+		await respond(first);
+		await respond(second);
+
+		await Test.increaseTime(timeout + 1);
+		let close = await app.closeOracleRequest(
+			request.index,
+			config.firstAirline,
+			request.flight,
+			request.timestamp
+		);
+
+		// Only the invited oracles are looked at, and those that answered
+		// are spared
+		assert.equal(
+			countEvents(close, "OracleSlashed"),
+			invited.length - 2,
+			"The invited oracles that did not answer should be slashed"
+		);
+
+		// Asked again until the request gets the same index, and key
+		let reopened = false;
+		for (let n = 0; !reopened && n < 50; n++) {
+			try {
+				let tx = await app.fetchFlightStatus(
+					config.firstAirline,
+					request.flight,
+					request.timestamp
+				);
+				reopened = tx.logs[0].args.index.toNumber() == request.index;
+			} catch (e) {
+				// Another index of the flight asked in this loop is still open
+				assert.include(e.message, "Oracle request is already open");
+				await Test.mine();
+			}
+		}
+		assert.equal(reopened, true, "The request was not asked again");
+
+		// Oracles still registered, the close slashed the others
+		invited = await invitedOracles(request.index);
+		let third = invited.find((oracle) => oracle != first && oracle != second);
+
+		await respond(first);
+		assert.equal(
+			await isFinalized(),
+			false,
+			"Reports of the earlier round should not count"
+		);
+		await respond(second);
+		assert.equal(
+			await isFinalized(),
+			false,
+			"Two reports of the new round are no consensus"
+		);
+
+		let tx = await respond(third);
+		assert.equal(
+			countEvents(tx, "FlightStatusInfo"),
+			1,
+			"Three reports of the new round should finalize"
+		);
+	});
+
+	it("slashes the invited oracles that stay silent on a finalized request", async () => {
+		let app = config.flightSuretyApp;
+		let timeout = (await app.ORACLE_RESPONSE_TIMEOUT.call()).toNumber();
+		let request = await requestStatus("ND1700", 5);
+		let invited = request.invited;
+		let respond = (oracle) =>
+			app.submitOracleResponse(
+				request.index,
+				config.firstAirline,
+				request.flight,
+				request.timestamp,
+				STATUS_CODE_ON_TIME,
+				{ from: oracle }
+			);
+		let close = () =>
+			app.closeOracleRequest(
+				request.index,
+				config.firstAirline,
+				request.flight,
+				request.timestamp
+			);
+		let reason = async (action) => {
+			try {
+				await action();
+			} catch (e) {
+				return e.message;
+			}
+			return "";
+		};
+
+		// Three make the consensus, one answers late, the rest stay silent
+		for (let i = 0; i < 4; i++) {
+			await respond(invited[i]);
+		}
+		let silent = invited.slice(4);
+		let before = await app.getOracle.call(silent[0]);
+
+		assert.include(
+			await reason(close),
+			"Oracles can still answer the request",
+			"Finalized requests close after the timeout too"
+		);
+
+		await Test.increaseTime(timeout + 1);
+		assert.include(
+			await reason(() => respond(silent[0])),
+			"Oracle request is already finalized",
+			"Responses after the timeout are rejected"
+		);
+
+		let tx = await close();
+		let slashed = tx.logs
+			.filter((log) => log.event == "OracleSlashed")
+			.map((log) => log.args.oracle);
+
+		assert.sameMembers(slashed, silent, "Only the silent oracles are slashed");
+
+		let after = await app.getOracle.call(silent[0]);
+		assert.equal(
+			after.missed,
+			before.missed.toNumber() + 1,
+			"Miss not counted"
+		);
+		// Below the minimum stake, the rest of it is returned as earnings
+		assert.equal(
+			before.stake
+				.sub(after.stake)
+				.sub(after.earnings.sub(before.earnings))
+				.toString(),
+			web3.utils.toWei("0.2", "ether"),
+			"The silent oracle should lose part of its stake"
+		);
+
+		assert.include(
+			await reason(close),
+			"Oracle request is already closed",
+			"A request is only closed once"
+		);
+		assert.equal(
+			(
+				await app.getOracleRequest.call(
+					request.index,
+					config.firstAirline,
+					request.flight,
+					request.timestamp
+				)
+			).isFinalized,
+			true,
+			"The request should stay finalized"
+		);
+	});
+
+	// Replaces the app, later tests would need the new one
+	it("(upgrade) oracles take their stake back from a replaced app", async () => {
+		let data = config.flightSuretyData;
+		let oldApp = config.flightSuretyApp;
+		let fee = await oldApp.REGISTRATION_FEE.call();
+		let oracle = null;
+
+		for (let a = 1; a < TEST_ORACLES_COUNT && !oracle; a++) {
+			let stats = await oldApp.getOracle.call(accounts[a]);
+			if (stats.isRegistered) {
+				oracle = accounts[a];
+			}
+		}
+
+		let reason = "";
+		try {
+			await oldApp.withdrawOracleStake({ from: oracle });
+		} catch (e) {
+			reason = e.message;
+		}
+		assert.include(
+			reason,
+			"App is still in service",
+			"Stakes stay while the app is in service"
+		);
+
+		await oldApp.fundOracleRewards({ value: web3.utils.toWei("1", "ether") });
+
+		let app = await FlightSuretyApp.new(data.address);
+		await data.authorizeContract(app.address);
+		await data.deauthorizeContract(oldApp.address);
+
+		reason = "";
+		try {
+			await oldApp.registerOracle({ from: accounts[0], value: fee });
+		} catch (e) {
+			reason = e.message;
+		}
+		assert.include(
+			reason,
+			"App is not authorized by the data contract",
+			"The old app should not register oracles"
+		);
+
+		let stats = await oldApp.getOracle.call(oracle);
+		let owed = stats.stake.add(stats.earnings);
+		let before = web3.utils.toBN(await web3.eth.getBalance(oracle));
+		let tx = await oldApp.withdrawOracleStake({ from: oracle });
+		let gas = web3.utils
+			.toBN(tx.receipt.gasUsed)
+			.mul(web3.utils.toBN(tx.receipt.effectiveGasPrice));
+		let after = web3.utils.toBN(await web3.eth.getBalance(oracle));
+
+		assert.equal(
+			after.sub(before).add(gas).toString(),
+			owed.toString(),
+			"Stake and earnings should be paid out"
+		);
+		stats = await oldApp.getOracle.call(oracle);
+		assert.equal(stats.isRegistered, false, "Oracle should be deregistered");
+		assert.equal(stats.stake, 0, "Stake should be paid out");
+
+		let pool = await oldApp.oracleRewardPool.call();
+		await oldApp.transferOracleRewardPool(app.address);
+
+		assert.equal(
+			(await app.oracleRewardPool.call()).toString(),
+			pool.toString(),
+			"The reward pool should move to the new app"
+		);
+		assert.equal(await oldApp.oracleRewardPool.call(), 0, "Pool not emptied");
+
+		await app.registerOracle({ from: oracle, value: fee });
+		stats = await app.getOracle.call(oracle);
+		assert.equal(stats.isRegistered, true, "Oracle should join the new app");
 	});
 });
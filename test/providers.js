@@ -0,0 +1,198 @@
+var express = require("express");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Test = require("../config/testConfig.js");
+var { createFlightDataServer } = require("./mocks/flightDataServer.js");
+
+var createHttpProvider = Test.requireServer("providers/http").default;
+var {
+	default: createScheduleProvider,
+	readSchedule,
+	scheduleKey,
+} = Test.requireServer("providers/schedule");
+
+describe("Flight status providers", () => {
+	const AIRLINE = "0xf17f52151EbEF6C7334FAD080c5704D77216b732";
+	const STATUS_CODE_UNKNOWN = 0;
+	const STATUS_CODE_ON_TIME = 10;
+	const STATUS_CODE_LATE_AIRLINE = 20;
+	const STATUS_CODE_LATE_WEATHER = 30;
+
+	const FLIGHT = {
+		airline: AIRLINE,
+		flight: "ND1309",
+		timestamp: "1700000000",
+	};
+
+	async function rejection(promise) {
+		try {
+			await promise;
+		} catch (error) {
+			return error.message;
+		}
+		assert.fail("The promise should have been rejected");
+	}
+
+	describe("http", () => {
+		var server;
+		var url;
+
+		// The mock behind a delay, so that requests can time out
+		function listen(app, delay = 0) {
+			var delayed = express();
+
+			delayed.use((req, res, next) => setTimeout(next, delay));
+			delayed.use(app);
+
+			return new Promise((resolve) => {
+				server = delayed.listen(0, "127.0.0.1", () => {
+					url = `http://127.0.0.1:${server.address().port}`;
+					resolve();
+				});
+			});
+		}
+
+		afterEach((done) => {
+			server.close(() => done());
+		});
+
+		it("answers the status of a scheduled flight", async () => {
+			await listen(
+				createFlightDataServer(
+					[{ ...FLIGHT, airline: AIRLINE.toLowerCase(), status: 20 }],
+					STATUS_CODE_ON_TIME
+				)
+			);
+			var provider = createHttpProvider({ url: `${url}/status` });
+
+			assert.equal(
+				await provider.getStatus(FLIGHT),
+				STATUS_CODE_LATE_AIRLINE,
+				"The scheduled status should be answered"
+			);
+			assert.equal(
+				await provider.getStatus({ ...FLIGHT, flight: "ND1310" }),
+				STATUS_CODE_ON_TIME,
+				"Unscheduled flights should get the default status"
+			);
+		});
+
+		it("rejects a status that is not a contract status code", async () => {
+			await listen(createFlightDataServer([], 15));
+			var provider = createHttpProvider({ url: `${url}/status` });
+
+			assert.equal(
+				await rejection(provider.getStatus(FLIGHT)),
+				"Flight data endpoint sent unknown status 15"
+			);
+		});
+
+		it("gives up on an endpoint that answers too slowly", async () => {
+			await listen(createFlightDataServer([], STATUS_CODE_ON_TIME), 500);
+			var provider = createHttpProvider({ url: `${url}/status`, timeout: 50 });
+
+			assert.equal(
+				await rejection(provider.getStatus(FLIGHT)),
+				"Flight data endpoint timed out"
+			);
+		});
+
+		it("rejects answers other than 200", async () => {
+			await listen(createFlightDataServer([], STATUS_CODE_ON_TIME));
+			var provider = createHttpProvider({ url: `${url}/missing` });
+
+			assert.equal(
+				await rejection(provider.getStatus(FLIGHT)),
+				"Flight data endpoint answered 404"
+			);
+		});
+
+		it("needs a url", () => {
+			assert.throws(() => createHttpProvider({}), "needs a url");
+		});
+	});
+
+	describe("schedule", () => {
+		var dir;
+
+		before(() => {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), "flightsurety-schedule-"));
+		});
+
+		after(() => {
+			fs.rmSync(dir, { recursive: true, force: true });
+		});
+
+		function write(name, text) {
+			var file = path.join(dir, name);
+
+			fs.writeFileSync(file, text);
+			return file;
+		}
+
+		it("reads a CSV schedule with its columns in any order", () => {
+			var file = write(
+				"columns.csv",
+				[
+					"# status of the test flights",
+					"status, timestamp, flight, airline",
+					`20, 1700000000, ND1309, ${AIRLINE}`,
+					"",
+					`30,1700003600,ND1310,${AIRLINE.toLowerCase()}`,
+				].join("\r\n")
+			);
+			var schedule = readSchedule(file);
+
+			assert.equal(schedule.size, 2, "Comments and blank lines are skipped");
+			assert.equal(
+				schedule.get(scheduleKey(AIRLINE, "ND1309", "1700000000")),
+				STATUS_CODE_LATE_AIRLINE
+			);
+			assert.equal(
+				schedule.get(scheduleKey(AIRLINE, "ND1310", 1700003600)),
+				STATUS_CODE_LATE_WEATHER,
+				"Airlines are matched whatever their case"
+			);
+		});
+
+		it("refuses CSV rows with an unknown status or a missing column", () => {
+			var unknown = write(
+				"unknown.csv",
+				`airline,flight,timestamp,status\n${AIRLINE},ND1309,1700000000,25\n`
+			);
+			var missing = write(
+				"missing.csv",
+				`airline,flight,status\n${AIRLINE},ND1309,20\n`
+			);
+
+			assert.throws(() => readSchedule(unknown), "has unknown status 25");
+			assert.throws(
+				() => readSchedule(missing),
+				"needs airline, flight and timestamp"
+			);
+		});
+
+		it("answers the default status for flights it does not list", async () => {
+			var file = write(
+				"default.csv",
+				`airline,flight,timestamp,status\n${AIRLINE},ND1309,1700000000,20\n`
+			);
+
+			assert.equal(
+				await createScheduleProvider({ file: file }).getStatus({
+					...FLIGHT,
+					flight: "ND1310",
+				}),
+				STATUS_CODE_UNKNOWN
+			);
+			assert.equal(
+				await createScheduleProvider({
+					file: file,
+					default: STATUS_CODE_ON_TIME,
+				}).getStatus({ ...FLIGHT, flight: "ND1310" }),
+				STATUS_CODE_ON_TIME
+			);
+		});
+	});
+});
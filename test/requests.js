@@ -0,0 +1,215 @@
+var Test = require("../config/testConfig.js");
+
+var { createRequestTracker } = Test.requireServer("requests");
+
+contract("Oracle request tracker", async (accounts) => {
+	const FIRST_ORACLE = 10;
+	const STATUS_CODE_ON_TIME = 10;
+	const STATUS_CODE_LATE_AIRLINE = 20;
+
+	var config;
+	var index = Test.indexFixture(() => ({
+		flightSuretyApp: config.flightSuretyApp.contract,
+	}));
+	var indexer;
+	var tracker;
+	var settings;
+	var oracles = [];
+
+	before("setup contract", async () => {
+		config = await Test.Config(accounts);
+		await config.flightSuretyData.authorizeContract(
+			config.flightSuretyApp.address
+		);
+
+		let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+
+		for (let a = FIRST_ORACLE; a < accounts.length; a++) {
+			await config.flightSuretyApp.registerOracle({
+				from: accounts[a],
+				value: fee,
+			});
+			let indexes = await config.flightSuretyApp.getMyIndexes.call({
+				from: accounts[a],
+			});
+
+			oracles.push({
+				account: accounts[a],
+				indexes: indexes.map((index) => index.toNumber()),
+			});
+		}
+	});
+
+	beforeEach(async () => {
+		settings = { requests: { timeout: 300 } };
+		indexer = index.create({
+			// Only the blocks of the test
+			fromBlock: (await web3.eth.getBlockNumber()) + 1,
+		});
+		tracker = createRequestTracker({
+			web3: web3,
+			flightSuretyApp: config.flightSuretyApp.contract,
+			indexer: indexer,
+			settings: settings,
+		});
+	});
+
+	// Registers a flight of the first airline
+	async function registerFlight(flight) {
+		let timestamp = Math.floor(Date.now() / 1000) + 30 * 24 * 3600;
+
+		await config.flightSuretyApp.registerFlight(
+			flight,
+			timestamp,
+			config.firstAirline,
+			{ from: config.firstAirline }
+		);
+
+		return { flight: flight, timestamp: timestamp };
+	}
+
+	// Asks for the flight's status, answers the id the tracker gives the
+	// request and its index. The random index may hit a request that is
+	// still open, the next block picks another one.
+	async function fetchStatus({ flight, timestamp }) {
+		for (;;) {
+			try {
+				let tx = await config.flightSuretyApp.fetchFlightStatus(
+					config.firstAirline,
+					flight,
+					timestamp
+				);
+				let log = tx.logs.find((entry) => entry.event == "OracleRequest");
+
+				return {
+					id: `${tx.tx}:${log.logIndex}`,
+					index: log.args.index.toNumber(),
+				};
+			} catch (e) {
+				if (!/already open/.test(e.message)) {
+					throw e;
+				}
+				await Test.mine();
+			}
+		}
+	}
+
+	function respond(oracle, request, { flight, timestamp }, status) {
+		return config.flightSuretyApp.submitOracleResponse(
+			request.index,
+			config.firstAirline,
+			flight,
+			timestamp,
+			status,
+			{ from: oracle.account }
+		);
+	}
+
+	function invited(request) {
+		return oracles.filter((oracle) => oracle.indexes.includes(request.index));
+	}
+
+	it("follows a request from open to finalized", async () => {
+		let flight = await registerFlight("TR1");
+		let asked = await fetchStatus(flight);
+		let [first, second, third] = invited(asked);
+
+		assert.isDefined(third, "Not enough oracles for the index");
+
+		await respond(first, asked, flight, STATUS_CODE_ON_TIME);
+		await respond(second, asked, flight, STATUS_CODE_LATE_AIRLINE);
+		await indexer.sync();
+
+		let request = await tracker.get(asked.id);
+
+		assert.equal(request.state, "open");
+		assert.equal(request.index, asked.index);
+		assert.deepEqual(request.tally, { 10: 1, 20: 1 });
+		assert.deepEqual(
+			request.reports.map((report) => report.oracle),
+			[first.account, second.account],
+			"Reports are attributed to the oracles that sent them"
+		);
+
+		await respond(third, asked, flight, STATUS_CODE_LATE_AIRLINE);
+		let [fourth] = invited(asked).slice(3);
+
+		assert.isDefined(fourth, "Not enough oracles for the index");
+		await respond(fourth, asked, flight, STATUS_CODE_LATE_AIRLINE);
+		await indexer.sync();
+
+		request = await tracker.get(asked.id);
+
+		assert.equal(request.state, "finalized");
+		assert.equal(request.status, STATUS_CODE_LATE_AIRLINE);
+		assert.deepEqual(request.tally, { 10: 1, 20: 3 });
+		assert.isAtLeast(request.finalizedAt, request.openedAt);
+	});
+
+	it("reports a request without consensus as timed out", async () => {
+		let flight = await registerFlight("TR2");
+		let asked = await fetchStatus(flight);
+
+		await indexer.sync();
+		let request = await tracker.get(asked.id);
+
+		// Block times and the clock differ once tests moved the chain ahead
+		settings.requests.timeout =
+			Math.floor(Date.now() / 1000) - request.openedAt - 1;
+		request = await tracker.get(asked.id);
+
+		assert.equal(request.state, "timed-out");
+		assert.equal(
+			request.timedOutAt,
+			request.openedAt + settings.requests.timeout
+		);
+		assert.deepEqual(
+			(await tracker.list({ state: "timed-out" })).map((entry) => entry.id),
+			[asked.id]
+		);
+	});
+
+	it("links a request to the one that asked about its flight again", async () => {
+		let flight = await registerFlight("TR3");
+		let first = await fetchStatus(flight);
+		await Test.mine();
+		let second = await fetchStatus(flight);
+
+		await indexer.sync();
+
+		assert.equal((await tracker.get(first.id)).retriggeredBy, second.id);
+		assert.isNull((await tracker.get(second.id)).retriggeredBy);
+		assert.deepEqual(
+			(await tracker.list()).map((entry) => entry.id),
+			[second.id, first.id],
+			"Requests are listed newest first"
+		);
+	});
+
+	it("forgets the consensus when its event is rolled back", async () => {
+		let flight = await registerFlight("TR4");
+		let asked = await fetchStatus(flight);
+		let reporters = invited(asked).slice(0, 3);
+
+		assert.equal(reporters.length, 3, "Not enough oracles for the index");
+
+		for (let oracle of reporters) {
+			await respond(oracle, asked, flight, STATUS_CODE_ON_TIME);
+		}
+		await indexer.sync();
+		assert.equal((await tracker.get(asked.id)).state, "finalized");
+
+		let [consensus] = indexer.find({ event: "FlightStatusInfo" });
+		let [event] = await config.flightSuretyApp.contract.getPastEvents(
+			"FlightStatusInfo",
+			{ fromBlock: consensus.blockNumber, toBlock: consensus.blockNumber }
+		);
+
+		indexer.add({ ...event, removed: true });
+
+		let request = await tracker.get(asked.id);
+
+		assert.equal(request.state, "open");
+		assert.isNull(request.status);
+	});
+});
@@ -0,0 +1,137 @@
+var Test = require("../config/testConfig.js");
+
+var { createSender } = Test.requireServer("sender");
+
+contract("Transaction sender", async (accounts) => {
+	const SETTINGS = {
+		gas: { limit: 450000, price: null },
+		tx: { retries: 3, backoff: 1 },
+	};
+
+	var config;
+	var app;
+	var flights = 0;
+
+	before("setup contract", async () => {
+		config = await Test.Config(accounts);
+		await config.flightSuretyData.authorizeContract(
+			config.flightSuretyApp.address
+		);
+		app = config.flightSuretyApp.contract;
+	});
+
+	// A new flight of the first airline for every transaction
+	function registerFlight() {
+		let timestamp = Math.floor(Date.now() / 1000) + 30 * 24 * 3600;
+
+		flights++;
+		return app.methods.registerFlight(
+			`SND${flights}`,
+			timestamp,
+			config.firstAirline
+		);
+	}
+
+	// The method fails its first gas estimates like a dropped connection
+	function flaky(method, failures) {
+		return {
+			estimateGas(options) {
+				if (failures-- > 0) {
+					return Promise.reject(new Error("CONNECTION ERROR: socket hang up"));
+				}
+				return method.estimateGas(options);
+			},
+			send: (options) => method.send(options),
+		};
+	}
+
+	it("answers mined transactions with their receipt", async () => {
+		let sender = createSender({ web3: web3, settings: SETTINGS });
+		let result = await sender.send(
+			config.firstAirline,
+			registerFlight(),
+			"test.send"
+		);
+
+		assert.equal(result.outcome, "mined");
+		assert.equal(result.attempts, 1);
+		assert.isTrue(result.receipt.status, "The receipt should be included");
+	});
+
+	it("does not retry a revert", async () => {
+		let sender = createSender({ web3: web3, settings: SETTINGS });
+		let result = await sender.send(accounts[9], registerFlight(), "test.send");
+
+		assert.equal(result.outcome, "reverted");
+		assert.equal(result.attempts, 1, "A revert comes out the same again");
+		assert.equal(result.reason, "Caller is not an approved airline");
+	});
+
+	it("retries transient errors until they pass", async () => {
+		let sender = createSender({ web3: web3, settings: SETTINGS });
+		let result = await sender.send(
+			config.firstAirline,
+			flaky(registerFlight(), 2),
+			"test.send"
+		);
+
+		assert.equal(result.outcome, "mined");
+		assert.equal(result.attempts, 3, "Two attempts failed");
+	});
+
+	it("gives up after the configured retries", async () => {
+		let sender = createSender({ web3: web3, settings: SETTINGS });
+		let result = await sender.send(
+			config.firstAirline,
+			flaky(registerFlight(), SETTINGS.tx.retries + 1),
+			"test.send"
+		);
+
+		assert.equal(result.outcome, "failed");
+		assert.equal(result.attempts, SETTINGS.tx.retries + 1);
+		assert.match(result.error, /socket hang up/);
+	});
+
+	it("doubles the gas of a transaction that ran out of it", async () => {
+		let sender = createSender({ web3: web3, settings: SETTINGS });
+		let method = registerFlight();
+		let needed = await method.estimateGas({ from: config.firstAirline });
+		// A quarter of the gas, with the margin the sender adds
+		let short = {
+			estimateGas: () => Promise.resolve(Math.floor(needed / 4)),
+			send: (options) => method.send(options),
+		};
+		let result = await sender.send(config.firstAirline, short, "test.send");
+
+		assert.equal(result.outcome, "mined");
+		assert.isAbove(result.attempts, 1, "The first attempt ran out of gas");
+		assert.isAbove(result.receipt.gasUsed, Math.floor(needed / 4));
+	});
+
+	it("sends the transactions of an account one after the other", async () => {
+		let sender = createSender({ web3: web3, settings: SETTINGS });
+		let results = await Promise.all(
+			[1, 2, 3].map(() =>
+				sender.send(config.firstAirline, registerFlight(), "test.send")
+			)
+		);
+		let nonces = await Promise.all(
+			results.map(
+				async (result) =>
+					(
+						await web3.eth.getTransaction(result.receipt.transactionHash)
+					).nonce
+			)
+		);
+
+		assert.deepEqual(
+			results.map((result) => result.outcome),
+			["mined", "mined", "mined"]
+		);
+		assert.deepEqual(
+			nonces,
+			[nonces[0], nonces[0] + 1, nonces[0] + 2],
+			"The nonces follow the order of the sends"
+		);
+	});
+});
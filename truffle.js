@@ -34,6 +34,13 @@ module.exports = {
 	compilers: {
 		solc: {
 			version: "^0.8.16",
+			settings: {
+				// FlightSuretyApp does not fit the 24 KB code size limit without it
+				optimizer: {
+					enabled: true,
+					runs: 200,
+				},
+			},
 		},
 	},
 	solidityLog: {
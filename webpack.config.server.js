@@ -4,7 +4,12 @@ const nodeExternals = require("webpack-node-externals");
 // const StartServerPlugin = require("start-server-webpack-plugin");
 
 module.exports = {
-	entry: ["webpack/hot/poll?1000", "./src/server/index"],
+	entry: {
+		server: ["webpack/hot/poll?1000", "./src/server/index"],
+		// Command line tools, run once and exit
+		simulate: "./src/server/simulate",
+		admin: "./src/server/admin",
+	},
 	watch: false,
 	target: "node",
 	mode: "production",
@@ -26,14 +31,14 @@ module.exports = {
 		// new StartServerPlugin("server.js"),
 		new webpack.HotModuleReplacementPlugin(),
 		new webpack.NoEmitOnErrorsPlugin(),
+		// Only define BUILD_TARGET, replacing all of process.env would hide the
+		// oracle settings passed in through the environment at runtime
 		new webpack.DefinePlugin({
-			"process.env": {
-				BUILD_TARGET: JSON.stringify("server"),
-			},
+			"process.env.BUILD_TARGET": JSON.stringify("server"),
 		}),
 	],
 	output: {
 		path: path.join(__dirname, "build/server"),
-		filename: "server.js",
+		filename: "[name].js",
 	},
 };